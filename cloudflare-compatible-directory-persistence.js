@@ -0,0 +1,89 @@
+import { createHash } from 'crypto';
+import { mkdir, readdir, readFile, writeFile, unlink } from 'fs/promises';
+import path from 'path';
+
+/**
+ * Longest encoded key used as a file name; most filesystems cap names at 255 bytes.
+ * @type {number}
+ */
+const MAX_NAME_LENGTH = 200;
+
+/**
+ * Prefix of hashed file names. encodeURIComponent() always escapes "@", so no plain key starts with it.
+ * @type {string}
+ */
+const HASHED_PREFIX = '@';
+
+/**
+ * Persistence adapter for MemoryR2Bucket and MemoryKVNamespace that keeps one
+ * JSON file per key in a local directory. Node only; meant for offline development.
+ * Keys whose encoded name is too long for the filesystem (R2 keys reach 1024 bytes) are stored
+ * under their SHA-256 hash, with the original key kept inside the file.
+ *
+ * @example
+ * const bucket = new MemoryR2Bucket({ persistence: new DirectoryPersistence('./.data/r2') });
+ */
+class DirectoryPersistence {
+	/**
+	 * @param {string} directory - Directory to store records in; created on first use.
+	 */
+	constructor(directory) {
+		if (typeof directory !== 'string' || !directory) {
+			throw new TypeError('DirectoryPersistence requires a directory path string.');
+		}
+		this.directory = directory;
+	}
+
+	/**
+	 * Loads every stored record.
+	 * @returns {Promise<Array<[string, Object]>>} Key and record pairs.
+	 */
+	async load() {
+		await mkdir(this.directory, { recursive: true });
+		const entries = [];
+		for (const file of await readdir(this.directory)) {
+			if (!file.endsWith('.json')) continue;
+			const data = JSON.parse(await readFile(path.join(this.directory, file), 'utf-8'));
+			if (file.startsWith(HASHED_PREFIX)) entries.push([data.key, data.record]);
+			else entries.push([decodeURIComponent(file.slice(0, -'.json'.length)), data]);
+		}
+		return entries;
+	}
+
+	/**
+	 * Writes a record.
+	 * @param {string} key
+	 * @param {Object} record - JSON-serialisable record.
+	 * @returns {Promise<void>}
+	 */
+	async write(key, record) {
+		await mkdir(this.directory, { recursive: true });
+		const file = this._fileFor(key);
+		const data = path.basename(file).startsWith(HASHED_PREFIX) ? { key, record } : record;
+		await writeFile(file, JSON.stringify(data));
+	}
+
+	/**
+	 * Removes a record if present.
+	 * @param {string} key
+	 * @returns {Promise<void>}
+	 */
+	async remove(key) {
+		try {
+			await unlink(this._fileFor(key));
+		} catch (err) {
+			if (err.code !== 'ENOENT') throw err;
+		}
+	}
+
+	/** @private */
+	_fileFor(key) {
+		const encoded = encodeURIComponent(key);
+		const name = encoded.length > MAX_NAME_LENGTH ? HASHED_PREFIX + createHash('sha256').update(key).digest('hex') : encoded;
+		return path.join(this.directory, `${name}.json`);
+	}
+}
+
+module.exports = { DirectoryPersistence };
+
+// cloudflare-compatible-directory-persistence.js
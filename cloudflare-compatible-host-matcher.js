@@ -46,6 +46,7 @@ class HostMatcher {
 					headers: req.rawRequest.headers,
 					body: req.rawRequest.body,
 					redirect: 'manual',
+					signal: req.signal,
 				});
 
 				const proxyResponse = await fetch(proxyRequest);
@@ -0,0 +1,495 @@
+import { errorFactory } from './cloudflare-workers-compatible-errors';
+
+/**
+ * In-memory emulators of the Cloudflare R2 bucket and KV namespace bindings,
+ * for local development and tests. Both accept an optional persistence adapter
+ * (see DirectoryPersistence) implementing load(), write(key, record) and remove(key).
+ */
+
+/**
+ * Errors raised by the R2 and KV emulators.
+ * @type {(options: {message: string, status?: number, code?: string, exit_code?: number, hint?: string}) => Error}
+ */
+const createError = errorFactory({ status: 500, code: 'MEMORY_BINDING_ERROR', exit_code: 99 });
+
+/**
+ * Reads any supported body value into bytes.
+ * @param {ReadableStream|ArrayBuffer|ArrayBufferView|string|Blob|null} value
+ * @returns {Promise<Uint8Array>}
+ */
+async function toBytes(value) {
+	if (value === null || value === undefined) return new Uint8Array();
+	if (typeof value === 'string') return new TextEncoder().encode(value);
+	if (value instanceof ArrayBuffer) return new Uint8Array(value.slice(0));
+	if (ArrayBuffer.isView(value)) return new Uint8Array(value.buffer.slice(value.byteOffset, value.byteOffset + value.byteLength));
+	if (typeof Blob !== 'undefined' && value instanceof Blob) return new Uint8Array(await value.arrayBuffer());
+	if (typeof ReadableStream !== 'undefined' && value instanceof ReadableStream) {
+		return new Uint8Array(await new Response(value).arrayBuffer());
+	}
+	throw createError({
+		message: 'Unsupported value type for put().',
+		status: 400,
+		code: 'INVALID_VALUE_TYPE',
+		exit_code: 1,
+		hint: 'Use a string, ArrayBuffer, ArrayBufferView, Blob, ReadableStream or null.',
+	});
+}
+
+/**
+ * Encodes bytes as base64, chunked to stay under the argument limit of fromCharCode.
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function bytesToBase64(bytes) {
+	let binary = '';
+	for (let i = 0; i < bytes.length; i += 0x8000) {
+		binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+	}
+	return btoa(binary);
+}
+
+/**
+ * @param {string} base64
+ * @returns {Uint8Array}
+ */
+function base64ToBytes(base64) {
+	return Uint8Array.from(atob(base64), (c) => c.charCodeAt(0));
+}
+
+/**
+ * Derives a 32 hex character etag from the object bytes.
+ * @param {Uint8Array} bytes
+ * @returns {Promise<string>}
+ */
+async function computeEtag(bytes) {
+	const digest = await crypto.subtle.digest('SHA-256', bytes);
+	return Array.from(new Uint8Array(digest).slice(0, 16), (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Opaque list cursors are the base64 encoded last-returned key.
+ * @param {string} key
+ * @returns {string}
+ */
+function encodeCursor(key) {
+	return bytesToBase64(new TextEncoder().encode(key));
+}
+
+function decodeCursor(cursor) {
+	return new TextDecoder().decode(base64ToBytes(cursor));
+}
+
+/**
+ * Maps R2 httpMetadata fields to response header names.
+ * @type {Object<string, string>}
+ */
+const HTTP_METADATA_HEADERS = {
+	contentType: 'content-type',
+	contentLanguage: 'content-language',
+	contentDisposition: 'content-disposition',
+	contentEncoding: 'content-encoding',
+	cacheControl: 'cache-control',
+	cacheExpiry: 'expires',
+};
+
+/**
+ * Normalises httpMetadata given either as an object or as Headers.
+ * @param {Object|Headers} [httpMetadata]
+ * @returns {Object}
+ */
+function normalizeHttpMetadata(httpMetadata) {
+	if (!httpMetadata) return {};
+	if (typeof Headers !== 'undefined' && httpMetadata instanceof Headers) {
+		const result = {};
+		for (const [field, header] of Object.entries(HTTP_METADATA_HEADERS)) {
+			const value = httpMetadata.get(header);
+			if (value !== null) result[field] = field === 'cacheExpiry' ? new Date(value) : value;
+		}
+		return result;
+	}
+	return { ...httpMetadata };
+}
+
+/**
+ * Metadata view of a stored R2 object, mirroring R2Object.
+ */
+class MemoryR2Object {
+	constructor(record, include = ['httpMetadata', 'customMetadata']) {
+		this.key = record.key;
+		this.version = record.version;
+		this.size = record.bytes.byteLength;
+		this.etag = record.etag;
+		this.httpEtag = `"${record.etag}"`;
+		this.uploaded = new Date(record.uploaded);
+		this.checksums = {};
+		this.storageClass = 'Standard';
+		if (include.includes('httpMetadata')) this.httpMetadata = { ...record.httpMetadata };
+		if (include.includes('customMetadata')) this.customMetadata = { ...record.customMetadata };
+	}
+
+	/**
+	 * Writes the object's httpMetadata onto a Headers instance.
+	 * @param {Headers} headers
+	 */
+	writeHttpMetadata(headers) {
+		for (const [field, header] of Object.entries(HTTP_METADATA_HEADERS)) {
+			const value = this.httpMetadata && this.httpMetadata[field];
+			if (value === undefined || value === null) continue;
+			headers.set(header, value instanceof Date ? value.toUTCString() : String(value));
+		}
+	}
+}
+
+/**
+ * An R2 object with its body, mirroring R2ObjectBody.
+ */
+class MemoryR2ObjectBody extends MemoryR2Object {
+	constructor(record, bytes, range) {
+		super(record);
+		/** @private */
+		this._response = new Response(bytes);
+		if (range) this.range = range;
+	}
+
+	get body() {
+		return this._response.body;
+	}
+
+	get bodyUsed() {
+		return this._response.bodyUsed;
+	}
+
+	arrayBuffer() {
+		return this._response.arrayBuffer();
+	}
+
+	text() {
+		return this._response.text();
+	}
+
+	json() {
+		return this._response.json();
+	}
+
+	blob() {
+		return this._response.blob();
+	}
+}
+
+/**
+ * Shared storage and persistence plumbing for the memory bindings.
+ * @private
+ */
+class MemoryStore {
+	constructor({ persistence = null } = {}) {
+		/** @private @type {Map<string, Object>} */
+		this._records = new Map();
+		/** @private */
+		this._persistence = persistence;
+		/** @private */
+		this._ready = null;
+	}
+
+	/** @private */
+	async _load() {
+		if (!this._persistence) return;
+		if (!this._ready) {
+			this._ready = (async () => {
+				for (const [key, stored] of await this._persistence.load()) {
+					this._records.set(key, { ...stored, bytes: base64ToBytes(stored.bytes) });
+				}
+			})();
+		}
+		await this._ready;
+	}
+
+	/** @private */
+	async _write(key, record) {
+		this._records.set(key, record);
+		if (this._persistence) await this._persistence.write(key, { ...record, bytes: bytesToBase64(record.bytes) });
+	}
+
+	/** @private */
+	async _remove(key) {
+		this._records.delete(key);
+		if (this._persistence) await this._persistence.remove(key);
+	}
+
+	/**
+	 * Returns sorted keys starting with prefix and after the given cursor key.
+	 * @private
+	 */
+	_sortedKeys(prefix = '', after = null) {
+		return Array.from(this._records.keys())
+			.filter((key) => key.startsWith(prefix) && (after === null || key > after))
+			.sort();
+	}
+}
+
+/**
+ * In-memory emulator of an R2 bucket binding.
+ * @example
+ * const env = { USER_DATA_TIKMIX_R2_BUCKET: new MemoryR2Bucket() };
+ */
+class MemoryR2Bucket extends MemoryStore {
+	/**
+	 * @param {Object} [options]
+	 * @param {Object} [options.persistence] - Adapter with load(), write(key, record), remove(key).
+	 */
+	constructor(options = {}) {
+		super(options);
+	}
+
+	/**
+	 * Returns object metadata without the body.
+	 * @param {string} key
+	 * @returns {Promise<MemoryR2Object|null>}
+	 */
+	async head(key) {
+		await this._load();
+		const record = this._records.get(key);
+		return record ? new MemoryR2Object(record) : null;
+	}
+
+	/**
+	 * Returns the object with its body, optionally a byte range of it.
+	 * @param {string} key
+	 * @param {Object} [options]
+	 * @param {{offset?: number, length?: number, suffix?: number}} [options.range]
+	 * @returns {Promise<MemoryR2ObjectBody|null>}
+	 */
+	async get(key, options = {}) {
+		await this._load();
+		const record = this._records.get(key);
+		if (!record) return null;
+
+		const { range } = options;
+		if (!range) return new MemoryR2ObjectBody(record, record.bytes);
+
+		const size = record.bytes.byteLength;
+		let offset = range.offset ?? 0;
+		let length = range.length ?? size - offset;
+		if (range.suffix !== undefined) {
+			offset = Math.max(0, size - range.suffix);
+			length = size - offset;
+		}
+		return new MemoryR2ObjectBody(record, record.bytes.slice(offset, offset + length), { offset, length });
+	}
+
+	/**
+	 * Stores an object.
+	 * @param {string} key
+	 * @param {ReadableStream|ArrayBuffer|ArrayBufferView|string|Blob|null} value
+	 * @param {Object} [options]
+	 * @param {Object|Headers} [options.httpMetadata]
+	 * @param {Object<string, string>} [options.customMetadata]
+	 * @returns {Promise<MemoryR2Object>}
+	 */
+	async put(key, value, options = {}) {
+		if (typeof key !== 'string') {
+			throw createError({
+				message: 'put(key, value) requires key as string.',
+				status: 400,
+				code: 'INVALID_KEY',
+				exit_code: 2,
+			});
+		}
+		await this._load();
+		const bytes = await toBytes(value);
+		const record = {
+			key,
+			bytes,
+			etag: await computeEtag(bytes),
+			version: crypto.randomUUID(),
+			uploaded: Date.now(),
+			httpMetadata: normalizeHttpMetadata(options.httpMetadata),
+			customMetadata: { ...(options.customMetadata || {}) },
+		};
+		await this._write(key, record);
+		return new MemoryR2Object(record);
+	}
+
+	/**
+	 * Deletes one or more objects.
+	 * @param {string|string[]} keys
+	 * @returns {Promise<void>}
+	 */
+	async delete(keys) {
+		await this._load();
+		for (const key of Array.isArray(keys) ? keys : [keys]) {
+			await this._remove(key);
+		}
+	}
+
+	/**
+	 * Lists objects in key order.
+	 * @param {Object} [options]
+	 * @param {string} [options.prefix='']
+	 * @param {number} [options.limit=1000]
+	 * @param {string} [options.cursor] - Cursor from a previous truncated listing.
+	 * @param {string} [options.startAfter] - List keys strictly after this key.
+	 * @param {string} [options.delimiter] - Groups keys sharing a prefix up to the delimiter.
+	 * @param {Array<'httpMetadata'|'customMetadata'>} [options.include=[]]
+	 * @returns {Promise<{objects: MemoryR2Object[], truncated: boolean, cursor?: string, delimitedPrefixes: string[]}>}
+	 */
+	async list({ prefix = '', limit = 1000, cursor, startAfter, delimiter, include = [] } = {}) {
+		await this._load();
+		const after = cursor ? decodeCursor(cursor) : startAfter ?? null;
+		const keys = this._sortedKeys(prefix, after);
+
+		const objects = [];
+		const delimitedPrefixes = new Set();
+		let lastKey = null;
+		let truncated = false;
+		for (const key of keys) {
+			if (objects.length + delimitedPrefixes.size >= limit) {
+				truncated = true;
+				break;
+			}
+			lastKey = key;
+			if (delimiter) {
+				const index = key.indexOf(delimiter, prefix.length);
+				if (index !== -1) {
+					delimitedPrefixes.add(key.slice(0, index + delimiter.length));
+					continue;
+				}
+			}
+			objects.push(new MemoryR2Object(this._records.get(key), include));
+		}
+
+		const result = { objects, truncated, delimitedPrefixes: [...delimitedPrefixes] };
+		if (truncated) result.cursor = encodeCursor(lastKey);
+		return result;
+	}
+}
+
+/**
+ * In-memory emulator of a KV namespace binding, with expiration and metadata.
+ */
+class MemoryKVNamespace extends MemoryStore {
+	/**
+	 * @param {Object} [options]
+	 * @param {Object} [options.persistence] - Adapter with load(), write(key, record), remove(key).
+	 */
+	constructor(options = {}) {
+		super(options);
+	}
+
+	/**
+	 * Returns the live record for a key, dropping it if expired.
+	 * @private
+	 */
+	async _live(key) {
+		await this._load();
+		const record = this._records.get(key);
+		if (!record) return null;
+		if (record.expiration && record.expiration * 1000 <= Date.now()) {
+			await this._remove(key);
+			return null;
+		}
+		return record;
+	}
+
+	/**
+	 * Reads a value.
+	 * @param {string} key
+	 * @param {'text'|'json'|'arrayBuffer'|'stream'|{type?: string}} [options='text']
+	 * @returns {Promise<*>} The value or null.
+	 */
+	async get(key, options = 'text') {
+		const { value } = await this.getWithMetadata(key, options);
+		return value;
+	}
+
+	/**
+	 * Reads a value along with its metadata.
+	 * @param {string} key
+	 * @param {'text'|'json'|'arrayBuffer'|'stream'|{type?: string}} [options='text']
+	 * @returns {Promise<{value: *, metadata: *}>}
+	 */
+	async getWithMetadata(key, options = 'text') {
+		const type = typeof options === 'string' ? options : options.type || 'text';
+		const record = await this._live(key);
+		if (!record) return { value: null, metadata: null };
+
+		let value;
+		if (type === 'json') value = JSON.parse(new TextDecoder().decode(record.bytes));
+		else if (type === 'arrayBuffer') value = record.bytes.slice().buffer;
+		else if (type === 'stream') value = new Response(record.bytes.slice()).body;
+		else value = new TextDecoder().decode(record.bytes);
+		return { value, metadata: record.metadata ?? null };
+	}
+
+	/**
+	 * Writes a value.
+	 * @param {string} key
+	 * @param {string|ArrayBuffer|ArrayBufferView|ReadableStream} value
+	 * @param {Object} [options]
+	 * @param {number} [options.expiration] - Absolute expiry in seconds since epoch.
+	 * @param {number} [options.expirationTtl] - Expiry in seconds from now.
+	 * @param {*} [options.metadata] - JSON-serialisable metadata.
+	 * @returns {Promise<void>}
+	 */
+	async put(key, value, { expiration, expirationTtl, metadata } = {}) {
+		if (typeof key !== 'string') {
+			throw createError({
+				message: 'put(key, value) requires key as string.',
+				status: 400,
+				code: 'INVALID_KEY',
+				exit_code: 2,
+			});
+		}
+		await this._load();
+		const record = { key, bytes: await toBytes(value) };
+		if (expirationTtl !== undefined) record.expiration = Math.floor(Date.now() / 1000) + expirationTtl;
+		else if (expiration !== undefined) record.expiration = expiration;
+		if (metadata !== undefined) record.metadata = metadata;
+		await this._write(key, record);
+	}
+
+	/**
+	 * Deletes a key.
+	 * @param {string} key
+	 * @returns {Promise<void>}
+	 */
+	async delete(key) {
+		await this._load();
+		await this._remove(key);
+	}
+
+	/**
+	 * Lists keys in order.
+	 * @param {Object} [options]
+	 * @param {string} [options.prefix='']
+	 * @param {number} [options.limit=1000]
+	 * @param {string} [options.cursor] - Cursor from a previous incomplete listing.
+	 * @returns {Promise<{keys: Array<{name: string, expiration?: number, metadata?: *}>, list_complete: boolean, cursor?: string}>}
+	 */
+	async list({ prefix = '', limit = 1000, cursor } = {}) {
+		await this._load();
+		const keys = [];
+		let lastKey = null;
+		let complete = true;
+		for (const key of this._sortedKeys(prefix, cursor ? decodeCursor(cursor) : null)) {
+			const record = await this._live(key);
+			if (!record) continue;
+			if (keys.length >= limit) {
+				complete = false;
+				break;
+			}
+			lastKey = key;
+			const entry = { name: key };
+			if (record.expiration) entry.expiration = record.expiration;
+			if (record.metadata !== undefined) entry.metadata = record.metadata;
+			keys.push(entry);
+		}
+
+		const result = { keys, list_complete: complete };
+		if (!complete) result.cursor = encodeCursor(lastKey);
+		return result;
+	}
+}
+
+module.exports = { MemoryR2Bucket, MemoryKVNamespace, MemoryR2Object, MemoryR2ObjectBody };
+
+// cloudflare-compatible-memory-bindings.js
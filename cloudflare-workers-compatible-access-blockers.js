@@ -1,21 +1,10 @@
+import { errorFactory } from './cloudflare-workers-compatible-errors';
+
 /**
- * Creates a standardized error object.
- * @param {Object} options
- * @param {string} options.message - Error message
- * @param {number} [options.status=500]
- * @param {string} [options.code="REQUEST_BLOCKER_ERROR"]
- * @param {number} [options.exit_code=99]
- * @param {string} [options.hint]
- * @returns {Error}
+ * Errors raised while configuring RequestBlocker.
+ * @type {(options: {message: string, status?: number, code?: string, exit_code?: number, hint?: string}) => Error}
  */
-function createError({ message, status = 500, code = 'REQUEST_BLOCKER_ERROR', exit_code = 99, hint }) {
-	const e = new Error(message);
-	e.status = status;
-	e.code = code;
-	e.exit_code = exit_code;
-	if (hint) e.hint = hint;
-	return e;
-}
+const createError = errorFactory({ status: 500, code: 'REQUEST_BLOCKER_ERROR', exit_code: 99 });
 class IpRangeMatcher {
 	static ipToNumber(ip) {
 		return ip.split('.').reduce((acc, oct) => (acc << 8) + parseInt(oct, 10), 0) >>> 0;
@@ -159,6 +148,9 @@ class RequestBlocker {
 		if (typeof this._globalResponse === 'function') {
 			return this._globalResponse(res, context);
 		}
+		if (res.problemDetails) {
+			return res.sendProblem({ message: `Access blocked by RequestBlocker (${context.reason})`, status: 403, code: 'REQUEST_BLOCKED' });
+		}
 		return res.setStatus(403).send(`Access blocked by RequestBlocker (${context.reason})`);
 	}
 
@@ -1,26 +1,15 @@
+import { errorFactory } from './cloudflare-workers-compatible-errors';
+
 /**
  * AccessTracker: Middleware that tracks requests and stores selected info from headers and body.
  * Can be configured per-path, per-method, or global. Uses string-safe keys in storage.
  */
 
 /**
- * Helper to create standardized errors.
- * @param {Object} options
- * @param {string} options.message - Error message
- * @param {number} [options.status=500] - HTTP status
- * @param {string} [options.code='ACCESS_TRACKER_ERROR'] - Error code
- * @param {number} [options.exit_code=99] - Exit code
- * @param {string} [options.hint] - Optional hint
- * @returns {Error}
+ * Errors raised by AccessTracker.
+ * @type {(options: {message: string, status?: number, code?: string, exit_code?: number, hint?: string}) => Error}
  */
-function createError({ message, status = 500, code = 'ACCESS_TRACKER_ERROR', exit_code = 99, hint }) {
-	const e = new Error(message);
-	e.status = status;
-	e.code = code;
-	e.exit_code = exit_code;
-	if (hint) e.hint = hint;
-	return e;
-}
+const createError = errorFactory({ status: 500, code: 'ACCESS_TRACKER_ERROR', exit_code: 99 });
 
 class AccessTracker {
 	constructor() {
@@ -1,3 +1,5 @@
+import { errorFactory } from './cloudflare-workers-compatible-errors';
+
 /**
  * @typedef {Object} ForwarderError
  * @property {string} message - Error message
@@ -8,18 +10,10 @@
  */
 
 /**
- * Helper to create standardized errors.
- * @param {ForwarderError} param0
- * @returns {Error}
+ * Helper to create standardized forwarder errors.
+ * @type {(options: {message: string, status?: number, code?: string, exit_code?: number, hint?: string}) => Error}
  */
-function createError({ message, status = 500, code = 'FORWARDER_ERROR', exit_code = 1, hint }) {
-	const e = new Error(message);
-	e.status = status;
-	e.code = code;
-	e.exit_code = exit_code;
-	if (hint) e.hint = hint;
-	return e;
-}
+const createError = errorFactory({ status: 500, code: 'FORWARDER_ERROR', exit_code: 1 });
 
 /**
  * Redirects matching path prefixes to a new base URL.
@@ -140,6 +134,7 @@ class RequestForwarder {
 						headers: new Headers(req.request.headers),
 						body: ['GET', 'HEAD'].includes(req.request.method) ? undefined : req.request.body,
 						redirect: 'manual',
+						signal: req.signal,
 					};
 					fetchInit.headers.delete('host');
 
@@ -213,6 +208,7 @@ class BulkRequestForwarder {
 							headers: new Headers(req.request.headers),
 							body: ['GET', 'HEAD'].includes(req.request.method) ? undefined : req.request.body,
 							redirect: 'manual',
+							signal: req.signal,
 						};
 						fetchInit.headers.delete('host');
 
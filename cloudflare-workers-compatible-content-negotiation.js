@@ -0,0 +1,191 @@
+/**
+ * RFC 9110 qvalue: 0 to 1 with at most three decimals.
+ * @type {RegExp}
+ */
+const QVALUE_PATTERN = /^(?:0(?:\.\d{0,3})?|1(?:\.0{0,3})?)$/;
+
+/**
+ * Parses an Accept, Accept-Language or Accept-Encoding header into ranges.
+ * Entries with a malformed q parameter are ignored; q defaults to 1.
+ * @param {string|null} header - Raw header value.
+ * @returns {Array<{value: string, q: number, params: Object<string, string>, index: number}>} Ranges in header order.
+ */
+function parseAcceptHeader(header) {
+	if (!header) return [];
+	const ranges = [];
+	header.split(',').forEach((part, index) => {
+		const [rawValue, ...rawParams] = part.split(';').map((piece) => piece.trim());
+		if (!rawValue) return;
+
+		let q = 1;
+		const params = {};
+		for (const rawParam of rawParams) {
+			const eq = rawParam.indexOf('=');
+			if (eq === -1) continue;
+			const key = rawParam.slice(0, eq).trim().toLowerCase();
+			const value = rawParam.slice(eq + 1).trim().replace(/^"(.*)"$/, '$1');
+			if (key === 'q') {
+				if (!QVALUE_PATTERN.test(value)) return;
+				q = parseFloat(value);
+			} else {
+				params[key] = value;
+			}
+		}
+		ranges.push({ value: rawValue.toLowerCase(), q, params, index });
+	});
+	return ranges;
+}
+
+/**
+ * Sorts parsed ranges by preference: q, then specificity, then header order.
+ * @param {Array<Object>} ranges
+ * @param {(range: Object) => number} specificity
+ * @returns {Array<Object>}
+ */
+function sortRanges(ranges, specificity) {
+	return ranges.slice().sort((a, b) => b.q - a.q || specificity(b) - specificity(a) || a.index - b.index);
+}
+
+/**
+ * Splits "type/subtype; a=b" into its parts.
+ * @param {string} mediaType
+ * @returns {{type: string, subtype: string, params: Object<string, string>}}
+ */
+function parseMediaType(mediaType) {
+	const [essence, ...rawParams] = mediaType.split(';').map((piece) => piece.trim());
+	const [type = '', subtype = ''] = essence.toLowerCase().split('/');
+	const params = {};
+	for (const rawParam of rawParams) {
+		const eq = rawParam.indexOf('=');
+		if (eq !== -1) params[rawParam.slice(0, eq).trim().toLowerCase()] = rawParam.slice(eq + 1).trim().replace(/^"(.*)"$/, '$1');
+	}
+	return { type, subtype, params };
+}
+
+/**
+ * Scores how specifically a media range matches a media type, or -1 if it does not.
+ * @param {Object} range - Parsed Accept range.
+ * @param {string} mediaType - Offered media type.
+ * @returns {number}
+ */
+function mediaTypeSpecificity(range, mediaType) {
+	const offered = parseMediaType(mediaType);
+	const [type, subtype] = range.value.split('/');
+	let score = 0;
+	if (type !== '*') {
+		if (type !== offered.type) return -1;
+		score += 4;
+	}
+	if (subtype !== '*') {
+		if (subtype !== offered.subtype) return -1;
+		score += 2;
+	}
+	const keys = Object.keys(range.params);
+	for (const key of keys) {
+		if ((offered.params[key] || '').toLowerCase() !== range.params[key].toLowerCase()) return -1;
+	}
+	return score + (keys.length > 0 ? 1 : 0);
+}
+
+/**
+ * Scores how specifically a language range matches a language tag, or -1 if it does not.
+ * "en" matches "en-US" and, less specifically, "en-US" matches "en".
+ * @param {Object} range - Parsed Accept-Language range.
+ * @param {string} language - Offered language tag.
+ * @returns {number}
+ */
+function languageSpecificity(range, language) {
+	const tag = language.toLowerCase();
+	if (range.value === tag) return 4;
+	if (tag.startsWith(`${range.value}-`)) return 3;
+	if (range.value.startsWith(`${tag}-`)) return 2;
+	if (range.value === '*') return 0;
+	return -1;
+}
+
+/**
+ * Scores how specifically an encoding range matches an encoding, or -1 if it does not.
+ * @param {Object} range - Parsed Accept-Encoding range.
+ * @param {string} encoding - Offered encoding.
+ * @returns {number}
+ */
+function encodingSpecificity(range, encoding) {
+	if (range.value === encoding.toLowerCase()) return 1;
+	if (range.value === '*') return 0;
+	return -1;
+}
+
+/**
+ * Picks the offered values a client accepts, best first.
+ * Each offer takes the q of its most specific matching range; q=0 excludes it.
+ * @param {Array<Object>} ranges - Parsed header ranges.
+ * @param {string[]} offers - Values the server can produce.
+ * @param {(range: Object, offer: string) => number} specificity
+ * @returns {string[]} Acceptable offers, best first.
+ */
+function rankOffers(ranges, offers, specificity) {
+	const ranked = [];
+	offers.forEach((offer, offerIndex) => {
+		let best = null;
+		for (const range of ranges) {
+			const score = specificity(range, offer);
+			if (score < 0) continue;
+			if (!best || score > best.score || (score === best.score && range.q > best.range.q)) best = { score, range };
+		}
+		if (best && best.range.q > 0) ranked.push({ offer, offerIndex, ...best });
+	});
+	ranked.sort((a, b) => b.range.q - a.range.q || b.score - a.score || a.range.index - b.range.index || a.offerIndex - b.offerIndex);
+	return ranked.map(({ offer }) => offer);
+}
+
+/**
+ * Negotiates a media type against an Accept header.
+ * Without arguments, returns the accepted media ranges best first.
+ * @param {string|null} header - Accept header.
+ * @param {string[]} [types] - Offered media types.
+ * @returns {string[]}
+ */
+function negotiateMediaTypes(header, types) {
+	const ranges = parseAcceptHeader(header === null || header === undefined ? '*/*' : header);
+	if (!types) {
+		const specificity = (range) => range.value.split('/').filter((part) => part !== '*').length * 2 + Object.keys(range.params).length;
+		return sortRanges(ranges.filter((range) => range.q > 0), specificity).map((range) => range.value);
+	}
+	return rankOffers(ranges, types, mediaTypeSpecificity);
+}
+
+/**
+ * Negotiates a language against an Accept-Language header.
+ * @param {string|null} header - Accept-Language header.
+ * @param {string[]} [languages] - Offered language tags.
+ * @returns {string[]}
+ */
+function negotiateLanguages(header, languages) {
+	const ranges = parseAcceptHeader(header === null || header === undefined ? '*' : header);
+	if (!languages) {
+		return sortRanges(ranges.filter((range) => range.q > 0), (range) => (range.value === '*' ? 0 : 1)).map((range) => range.value);
+	}
+	return rankOffers(ranges, languages, languageSpecificity);
+}
+
+/**
+ * Negotiates a content coding against an Accept-Encoding header.
+ * "identity" stays acceptable unless it, or "*", is explicitly given q=0.
+ * @param {string|null} header - Accept-Encoding header.
+ * @param {string[]} [encodings] - Offered encodings.
+ * @returns {string[]}
+ */
+function negotiateEncodings(header, encodings) {
+	const ranges = parseAcceptHeader(header === null || header === undefined ? '*' : header);
+	if (!ranges.some((range) => range.value === 'identity' || range.value === '*')) {
+		ranges.push({ value: 'identity', q: 0.001, params: {}, index: ranges.length });
+	}
+	if (!encodings) {
+		return sortRanges(ranges.filter((range) => range.q > 0), (range) => (range.value === '*' ? 0 : 1)).map((range) => range.value);
+	}
+	return rankOffers(ranges, encodings, encodingSpecificity);
+}
+
+module.exports = { parseAcceptHeader, negotiateMediaTypes, negotiateLanguages, negotiateEncodings };
+
+// cloudflare-workers-compatible-content-negotiation.js
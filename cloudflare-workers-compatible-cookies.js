@@ -0,0 +1,221 @@
+import { errorFactory } from './cloudflare-workers-compatible-errors';
+
+/**
+ * Cookie errors are programming mistakes (bad names, conflicting attributes), hence 500.
+ * @type {(options: {message: string, status?: number, code?: string, exit_code?: number, hint?: string}) => Error}
+ */
+const createError = errorFactory({ status: 500, code: 'COOKIE_INVALID_OPTION', exit_code: 2 });
+
+/**
+ * Prefix marking a signed cookie value: "s:<value>.<signature>".
+ * @type {string}
+ */
+const SIGNED_PREFIX = 's:';
+
+/** RFC 7230 token, the grammar of cookie names. */
+const TOKEN = /^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/;
+
+/** RFC 6265 cookie-value: cookie-octets, optionally wrapped in double quotes. */
+const COOKIE_VALUE = /^("?)[\x21\x23-\x2B\x2D-\x3A\x3C-\x5B\x5D-\x7E]*\1$/;
+
+/** Domain attribute: dot-separated labels, optionally with a leading dot. */
+const DOMAIN_VALUE = /^\.?[a-z0-9](?:[a-z0-9-]*[a-z0-9])?(?:\.[a-z0-9](?:[a-z0-9-]*[a-z0-9])?)*$/i;
+
+/** Path attribute: any CHAR except CTLs and ";". */
+const PATH_VALUE = /^[\x20-\x3A\x3C-\x7E]*$/;
+
+/** @type {Object<string, string>} */
+const SAME_SITE = { strict: 'Strict', lax: 'Lax', none: 'None' };
+
+/** @type {Object<string, string>} */
+const PRIORITY = { low: 'Low', medium: 'Medium', high: 'High' };
+
+/**
+ * Parses a Cookie header (RFC 6265 section 5.4) into name/value pairs. Values are URL-decoded
+ * and stripped of surrounding quotes. The first occurrence of a name wins, which browsers send
+ * for the most specific path.
+ * @param {string|null} header - Cookie header value.
+ * @returns {Object<string, string>}
+ */
+function parseCookies(header) {
+	const cookies = {};
+	if (!header) return cookies;
+	for (const pair of header.split(';')) {
+		const eq = pair.indexOf('=');
+		if (eq === -1) continue;
+		const name = pair.slice(0, eq).trim();
+		if (!name || Object.prototype.hasOwnProperty.call(cookies, name)) continue;
+		let value = pair.slice(eq + 1).trim();
+		if (value.startsWith('"') && value.endsWith('"') && value.length > 1) value = value.slice(1, -1);
+		try {
+			cookies[name] = decodeURIComponent(value);
+		} catch {
+			cookies[name] = value;
+		}
+	}
+	return cookies;
+}
+
+/**
+ * Builds a Set-Cookie header value.
+ * @example
+ * serializeCookie('theme', 'dark', { path: '/', maxAge: 86400, sameSite: 'lax' });
+ * // 'theme=dark; Max-Age=86400; Path=/; SameSite=Lax'
+ * @param {string} name - Cookie name; must be an RFC 7230 token.
+ * @param {string} value - Cookie value, URL-encoded unless options.encode says otherwise.
+ * @param {Object} [options]
+ * @param {string} [options.domain] - Domain attribute.
+ * @param {string} [options.path] - Path attribute.
+ * @param {number} [options.maxAge] - Lifetime in seconds; 0 or less expires the cookie.
+ * @param {Date} [options.expires] - Expiry date.
+ * @param {boolean} [options.httpOnly] - Hide the cookie from scripts.
+ * @param {boolean} [options.secure] - Only send over HTTPS.
+ * @param {'strict'|'lax'|'none'|true} [options.sameSite] - Cross-site policy; true means Strict. None requires secure.
+ * @param {boolean} [options.partitioned] - CHIPS partitioned cookie; requires secure.
+ * @param {'low'|'medium'|'high'} [options.priority] - Chromium eviction priority.
+ * @param {(value: string) => string} [options.encode=encodeURIComponent] - Value encoder.
+ * @returns {string}
+ * @throws {Error} COOKIE_INVALID_NAME, COOKIE_INVALID_VALUE or COOKIE_INVALID_OPTION.
+ */
+function serializeCookie(name, value, options = {}) {
+	if (typeof name !== 'string' || !TOKEN.test(name)) {
+		throw createError({ message: `Invalid cookie name: ${name}.`, code: 'COOKIE_INVALID_NAME', exit_code: 1 });
+	}
+	const encode = options.encode || encodeURIComponent;
+	const encoded = encode(String(value ?? ''));
+	if (!COOKIE_VALUE.test(encoded)) {
+		throw createError({
+			message: `Invalid value for cookie "${name}".`,
+			code: 'COOKIE_INVALID_VALUE',
+			exit_code: 3,
+			hint: 'Custom encoders must produce RFC 6265 cookie-octets.',
+		});
+	}
+
+	const invalid = (message, hint) => createError({ message: `Cookie "${name}": ${message}`, hint });
+	const parts = [`${name}=${encoded}`];
+
+	if (options.maxAge !== undefined && options.maxAge !== null) {
+		if (!Number.isFinite(options.maxAge)) throw invalid('maxAge must be a finite number of seconds.');
+		parts.push(`Max-Age=${Math.floor(options.maxAge)}`);
+	}
+	if (options.domain) {
+		if (!DOMAIN_VALUE.test(options.domain)) throw invalid(`invalid domain "${options.domain}".`);
+		parts.push(`Domain=${options.domain}`);
+	}
+	if (options.path) {
+		if (!PATH_VALUE.test(options.path)) throw invalid(`invalid path "${options.path}".`);
+		parts.push(`Path=${options.path}`);
+	}
+	if (options.expires) {
+		if (!(options.expires instanceof Date) || Number.isNaN(options.expires.getTime())) throw invalid('expires must be a valid Date.');
+		parts.push(`Expires=${options.expires.toUTCString()}`);
+	}
+	if (options.httpOnly) parts.push('HttpOnly');
+	if (options.secure) parts.push('Secure');
+	if (options.partitioned) {
+		if (!options.secure) throw invalid('partitioned cookies must be secure.', 'Set { secure: true }.');
+		parts.push('Partitioned');
+	}
+	if (options.priority) {
+		const priority = PRIORITY[String(options.priority).toLowerCase()];
+		if (!priority) throw invalid(`invalid priority "${options.priority}".`, 'Use "low", "medium" or "high".');
+		parts.push(`Priority=${priority}`);
+	}
+	if (options.sameSite) {
+		const sameSite = options.sameSite === true ? 'Strict' : SAME_SITE[String(options.sameSite).toLowerCase()];
+		if (!sameSite) throw invalid(`invalid sameSite "${options.sameSite}".`, 'Use "strict", "lax" or "none".');
+		if (sameSite === 'None' && !options.secure) throw invalid('SameSite=None cookies must be secure.', 'Set { secure: true }.');
+		parts.push(`SameSite=${sameSite}`);
+	}
+
+	// Browsers reject prefixed cookies that break the prefix rules
+	if (name.startsWith('__Secure-') && !options.secure) throw invalid('__Secure- cookies must be secure.');
+	if (name.startsWith('__Host-') && (!options.secure || options.domain || options.path !== '/')) {
+		throw invalid('__Host- cookies must be secure, have path "/" and no domain.');
+	}
+
+	return parts.join('; ');
+}
+
+/**
+ * HMAC keys by secret, so each secret is imported once per isolate.
+ * @type {Map<string, Promise<CryptoKey>>}
+ */
+const hmacKeys = new Map();
+
+/**
+ * Returns the HMAC-SHA256 key of a secret.
+ * @param {string} secret
+ * @returns {Promise<CryptoKey>}
+ */
+function hmacKey(secret) {
+	if (!hmacKeys.has(secret)) {
+		const key = crypto.subtle.importKey('raw', new TextEncoder().encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign', 'verify']);
+		hmacKeys.set(secret, key);
+	}
+	return hmacKeys.get(secret);
+}
+
+/**
+ * Encodes bytes as unpadded base64url.
+ * @param {ArrayBuffer} buffer
+ * @returns {string}
+ */
+function toBase64Url(buffer) {
+	return btoa(String.fromCharCode(...new Uint8Array(buffer)))
+		.replace(/\+/g, '-')
+		.replace(/\//g, '_')
+		.replace(/=+$/, '');
+}
+
+/**
+ * Decodes unpadded base64url, or returns null when malformed.
+ * @param {string} text
+ * @returns {Uint8Array|null}
+ */
+function fromBase64Url(text) {
+	try {
+		const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+		return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+	} catch {
+		return null;
+	}
+}
+
+/**
+ * Signs a cookie value with HMAC-SHA256.
+ * @param {string} value - Plain value.
+ * @param {string} secret - Signing secret.
+ * @returns {Promise<string>} "s:<value>.<signature>".
+ */
+async function signCookieValue(value, secret) {
+	const signature = await crypto.subtle.sign('HMAC', await hmacKey(secret), new TextEncoder().encode(value));
+	return `${SIGNED_PREFIX}${value}.${toBase64Url(signature)}`;
+}
+
+/**
+ * Verifies a signed cookie value against each secret in turn, so values signed with a
+ * retired secret stay valid while it is still listed.
+ * @param {string} signed - "s:<value>.<signature>".
+ * @param {string[]} secrets - Current secret first, then older ones.
+ * @returns {Promise<string|false|null>} The value, false for a bad signature, or null when the value is not signed.
+ */
+async function unsignCookieValue(signed, secrets) {
+	if (typeof signed !== 'string' || !signed.startsWith(SIGNED_PREFIX)) return null;
+	const dot = signed.lastIndexOf('.');
+	if (dot < SIGNED_PREFIX.length) return false;
+	const value = signed.slice(SIGNED_PREFIX.length, dot);
+	const signature = fromBase64Url(signed.slice(dot + 1));
+	if (!signature) return false;
+	const data = new TextEncoder().encode(value);
+	for (const secret of secrets) {
+		// crypto.subtle.verify compares in constant time
+		if (await crypto.subtle.verify('HMAC', await hmacKey(secret), signature, data)) return value;
+	}
+	return false;
+}
+
+module.exports = { SIGNED_PREFIX, parseCookies, serializeCookie, signCookieValue, unsignCookieValue };
+
+// cloudflare-workers-compatible-cookies.js
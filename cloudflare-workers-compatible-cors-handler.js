@@ -1,21 +1,10 @@
+import { errorFactory } from './cloudflare-workers-compatible-errors';
+
 /**
- * Helper: create standardized errors
- * @param {Object} params
- * @param {string} params.message - Error message
- * @param {number} [params.status=500] - HTTP status
- * @param {string} [params.code='UNKNOWN_ERROR'] - Error code
- * @param {number} [params.exit_code=99] - Exit code
- * @param {string} [params.hint] - Optional hint
- * @returns {Error}
+ * Errors raised by the CORS middleware.
+ * @type {(options: {message: string, status?: number, code?: string, exit_code?: number, hint?: string}) => Error}
  */
-function createError({ message, status = 500, code = 'UNKNOWN_ERROR', exit_code = 99, hint = undefined }) {
-	const error = new Error(message);
-	error.status = status;
-	error.code = code;
-	error.exit_code = exit_code;
-	if (hint) error.hint = hint;
-	return error;
-}
+const createError = errorFactory({ status: 500, code: 'UNKNOWN_ERROR', exit_code: 99 });
 
 /**
  * CORS middleware for handling Cross-Origin Resource Sharing headers.
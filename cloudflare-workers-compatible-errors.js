@@ -0,0 +1,282 @@
+/**
+ * Media type of RFC 9457 problem details.
+ * @type {string}
+ */
+const PROBLEM_CONTENT_TYPE = 'application/problem+json';
+
+/**
+ * Default prefix of problem type URIs; a catalogued code such as ERROR_ROUTE_TIMEOUT
+ * gets the type "/problems/error-route-timeout". Override per dispatcher with problemTypeBase.
+ * @type {string}
+ */
+const DEFAULT_TYPE_BASE = '/problems/';
+
+/**
+ * Reason phrases used as the title of uncatalogued errors.
+ * @type {Object<number, string>}
+ */
+const STATUS_TITLES = {
+	400: 'Bad Request',
+	401: 'Unauthorized',
+	403: 'Forbidden',
+	404: 'Not Found',
+	405: 'Method Not Allowed',
+	406: 'Not Acceptable',
+	408: 'Request Timeout',
+	409: 'Conflict',
+	410: 'Gone',
+	413: 'Content Too Large',
+	415: 'Unsupported Media Type',
+	422: 'Unprocessable Content',
+	429: 'Too Many Requests',
+	500: 'Internal Server Error',
+	501: 'Not Implemented',
+	502: 'Bad Gateway',
+	503: 'Service Unavailable',
+	504: 'Gateway Timeout',
+};
+
+/**
+ * Error catalogue: maps error codes to their HTTP status, a short human-readable title
+ * and an optional default hint. Each entry may also set an absolute `type` URI.
+ * Generic codes (UNKNOWN_ERROR, BAD_REQUEST) are deliberately absent and render as "about:blank".
+ * Extend it with registerErrors().
+ * @type {Object<string, {status: number, title: string, hint?: string, type?: string}>}
+ */
+const ERROR_CATALOGUE = {
+	// RouteDispatcher
+	ERROR_INVALID_ARGUMENTS: { status: 400, title: 'Invalid arguments', hint: 'Check the argument types against the method documentation.' },
+	ERROR_INVALID_URL: { status: 400, title: 'Invalid URL', hint: 'URLs must be absolute and use http:// or https://.' },
+	ERROR_FETCH_FAILED: { status: 502, title: 'Upstream fetch failed' },
+	REQUEST_INIT_FAILED: { status: 500, title: 'Request initialisation failed' },
+	ERROR_ROUTE_NOT_FOUND: { status: 404, title: 'Route not found' },
+	ERROR_METHOD_NOT_ALLOWED: { status: 405, title: 'Method not allowed', hint: 'See the Allow header for supported methods.' },
+	ERROR_NOT_ACCEPTABLE: { status: 406, title: 'Not acceptable', hint: 'Send an Accept header listing one of the supported media types.' },
+	ERROR_REQUEST_VALIDATION: { status: 400, title: 'Request validation failed', hint: 'Inspect issues for the failing fields.' },
+	ERROR_RESPONSE_VALIDATION: { status: 500, title: 'Response validation failed', hint: 'The handler returned a body that does not match validate.response.' },
+	ERROR_SCHEMA_VALIDATION: { status: 400, title: 'Schema validation failed', hint: 'Inspect issues for the failing paths.' },
+	ERROR_ROUTE_NAME_NOT_FOUND: { status: 500, title: 'Unknown route name' },
+	ERROR_INVALID_ROUTE_PATTERN: { status: 500, title: 'Invalid route pattern' },
+	ERROR_MISSING_ROUTE_PARAM: { status: 500, title: 'Missing route parameter' },
+	ERROR_FORBIDDEN_ROUTE_PARAM: { status: 500, title: 'Forbidden route parameter value' },
+	ERROR_WILDCARD_OUT_OF_RANGE: { status: 500, title: 'Wildcard segment count out of range' },
+	ERROR_INVALID_ROUTE_PARAM: { status: 500, title: 'Invalid route parameter' },
+	ERROR_UNKNOWN_HOOK: { status: 400, title: 'Unknown lifecycle hook' },
+	ERROR_INVALID_DEPENDENCY_SCOPE: { status: 400, title: 'Invalid dependency scope' },
+	ERROR_DEPENDENCY_NOT_PROVIDED: { status: 500, title: 'Dependency not provided' },
+	ERROR_INVALID_ROUTE_CONFIG: { status: 500, title: 'Invalid route config' },
+	ERROR_ROUTE_CONFIG_EXPORT: { status: 500, title: 'Route config export failed' },
+	ERROR_ROUTE_CONFLICT: { status: 500, title: 'Conflicting routes' },
+	ERROR_ROUTE_TIMEOUT: { status: 504, title: 'Route timed out' },
+
+	// RequestParser
+	INVALID_REQUEST_INSTANCE: { status: 400, title: 'Invalid request instance' },
+	QUERY_PARSE_FAILED: { status: 400, title: 'Query string could not be parsed' },
+	BODY_ARRAYBUFFER_FAILED: { status: 422, title: 'Body could not be read' },
+	BODY_TEXT_FAILED: { status: 422, title: 'Body could not be read as text' },
+	CACHED_JSON_PARSE_ERROR: { status: 422, title: 'Body is not valid JSON' },
+	BODY_JSON_PARSE_FAILED: { status: 422, title: 'Body is not valid JSON', hint: 'Send a well-formed JSON body with Content-Type: application/json.' },
+	BODY_FORMDATA_PARSE_FAILED: { status: 422, title: 'Body is not valid form data' },
+	BODY_AUTO_PARSE_FAILED: { status: 422, title: 'Body could not be parsed' },
+	ROUTE_MATCHER_NOT_DEFINED: { status: 500, title: 'Route matcher not available' },
+	BODY_ALREADY_USED: { status: 400, title: 'Body already consumed' },
+	BODY_STREAM_MISSING: { status: 400, title: 'Body stream missing' },
+	BODY_TOO_LARGE: { status: 413, title: 'Request body too large', hint: 'Send a smaller body or raise the route limits.' },
+	BODY_UNSUPPORTED_MEDIA_TYPE: { status: 415, title: 'Unsupported media type' },
+	COOKIE_SECRET_MISSING: { status: 500, title: 'Cookie secret missing', hint: 'Set the COOKIE_SECRET binding or pass { cookieSecret } to RouteDispatcher.' },
+	DEPENDENCY_RESOLVER_NOT_DEFINED: { status: 500, title: 'Dependency resolver not available' },
+
+	// Cookies
+	COOKIE_INVALID_NAME: { status: 500, title: 'Invalid cookie name', hint: 'Cookie names must be RFC 7230 tokens.' },
+	COOKIE_INVALID_VALUE: { status: 500, title: 'Invalid cookie value' },
+	COOKIE_INVALID_OPTION: { status: 500, title: 'Invalid cookie option' },
+
+	// Multipart
+	MULTIPART_BOUNDARY_MISSING: { status: 400, title: 'Multipart boundary missing', hint: 'Send Content-Type: multipart/form-data; boundary=...' },
+	MULTIPART_MALFORMED: { status: 400, title: 'Malformed multipart body' },
+	MULTIPART_PART_TOO_LARGE: { status: 413, title: 'Multipart part too large' },
+	MULTIPART_FIELD_TOO_LARGE: { status: 413, title: 'Multipart field too large' },
+	MULTIPART_TOO_LARGE: { status: 413, title: 'Multipart body too large' },
+	MULTIPART_TOO_MANY_PARTS: { status: 413, title: 'Too many multipart parts' },
+	MULTIPART_HEADERS_TOO_LARGE: { status: 413, title: 'Multipart part headers too large' },
+	MULTIPART_BUCKET_MISSING: { status: 500, title: 'Upload bucket missing', hint: 'Pass { bucket: env.MY_BUCKET }.' },
+
+	// ResponseBuilder
+	INVALID_HEADER_ARGUMENTS: { status: 400, title: 'Invalid header arguments' },
+	INVALID_REDIRECT_ARGUMENT: { status: 400, title: 'Invalid redirect argument' },
+	STREAM_NOT_READY: { status: 500, title: 'Stream not ready' },
+	INVALID_CHUNK_TYPE: { status: 400, title: 'Invalid stream chunk type' },
+
+	// Middleware
+	INVALID_ARGUMENT: { status: 400, title: 'Invalid argument' },
+	INVALID_REQUEST_OBJECT: { status: 500, title: 'Invalid request object' },
+	INVALID_RESPONSE_OBJECT: { status: 500, title: 'Invalid response object' },
+	REQUEST_BLOCKER_ERROR: { status: 500, title: 'Request blocker error' },
+	REQUEST_BLOCKED: { status: 403, title: 'Request blocked' },
+	INVALID_IP_PATTERN: { status: 400, title: 'Invalid IP pattern' },
+	INVALID_COUNTRY_PATTERN: { status: 400, title: 'Invalid country pattern' },
+	INVALID_GLOBAL_RESPONSE: { status: 400, title: 'Invalid global response' },
+	INVALID_PATHS: { status: 400, title: 'Invalid paths' },
+	ACCESS_RATE_LIMITER_ERROR: { status: 500, title: 'Rate limiter error' },
+	RATE_LIMITED: { status: 429, title: 'Too many requests' },
+	INVALID_LIMIT: { status: 400, title: 'Invalid rate limit' },
+	INVALID_PATH_PATTERN: { status: 400, title: 'Invalid path pattern' },
+	INVALID_BLOCK_KEY: { status: 400, title: 'Invalid block key' },
+	INVALID_BLOCK_DURATION: { status: 400, title: 'Invalid block duration' },
+	INVALID_UNBLOCK_KEY: { status: 400, title: 'Invalid unblock key' },
+	INVALID_RESET_KEY: { status: 400, title: 'Invalid reset key' },
+	INVALID_STORAGE: { status: 500, title: 'Invalid storage' },
+	INVALID_ONBLOCKED: { status: 400, title: 'Invalid onBlocked handler' },
+	ACCESS_TRACKER_ERROR: { status: 500, title: 'Access tracker error' },
+	SESSION_ERROR: { status: 500, title: 'Session error' },
+	PROXY_SERVER_ERROR: { status: 500, title: 'Proxy server error' },
+	INVALID_TARGET: { status: 500, title: 'Invalid proxy target' },
+	FORWARDER_ERROR: { status: 500, title: 'Forwarder error' },
+	INVALID_CONFIG_TARGETS: { status: 500, title: 'Invalid replicator targets' },
+	INVALID_TARGET_URL: { status: 500, title: 'Invalid replicator target URL' },
+
+	// Memory bindings
+	MEMORY_BINDING_ERROR: { status: 500, title: 'Memory binding error' },
+	INVALID_KEY: { status: 400, title: 'Invalid key' },
+	INVALID_VALUE_TYPE: { status: 400, title: 'Invalid value type' },
+};
+
+/**
+ * Adds or overrides catalogue entries, e.g. for application error codes.
+ * @param {Object<string, {status: number, title: string, hint?: string, type?: string}>} entries
+ * @returns {Object} The catalogue.
+ */
+function registerErrors(entries) {
+	for (const [code, entry] of Object.entries(entries || {})) {
+		if (!entry || typeof entry.status !== 'number' || typeof entry.title !== 'string') {
+			throw createError({
+				message: `Catalogue entry "${code}" needs a numeric status and a string title.`,
+				status: 500,
+				code: 'ERROR_INVALID_ARGUMENTS',
+				exit_code: 1,
+			});
+		}
+		ERROR_CATALOGUE[code] = { ...entry };
+	}
+	return ERROR_CATALOGUE;
+}
+
+/**
+ * Looks up a catalogued error code.
+ * @param {string} code
+ * @returns {{status: number, title: string, hint?: string, type?: string}|null}
+ */
+function lookupError(code) {
+	return typeof code === 'string' && Object.prototype.hasOwnProperty.call(ERROR_CATALOGUE, code) ? ERROR_CATALOGUE[code] : null;
+}
+
+/**
+ * Creates a standardized Error object. Status and hint fall back to the catalogue entry of the code.
+ * @param {Object} options
+ * @param {string} options.message - Error message.
+ * @param {number} [options.status] - HTTP status code; defaults to the catalogue status, then 500.
+ * @param {string} [options.code='UNKNOWN_ERROR'] - Error code string.
+ * @param {number} [options.exit_code=99] - Numeric exit code.
+ * @param {string} [options.hint] - Optional hint message; defaults to the catalogue hint.
+ * @returns {Error & {status: number, code: string, exit_code: number, hint?: string}}
+ */
+function createError({ message, status = undefined, code = 'UNKNOWN_ERROR', exit_code = 99, hint = undefined }) {
+	const entry = lookupError(code);
+	const error = new Error(message);
+	error.status = status || (entry && entry.status) || 500;
+	error.code = code;
+	error.exit_code = exit_code;
+	const resolvedHint = hint || (entry && entry.hint);
+	if (resolvedHint) error.hint = resolvedHint;
+	return error;
+}
+
+/**
+ * Builds a createError() with module-specific defaults, so each module keeps its own
+ * default code and exit code while sharing one implementation.
+ * @param {{status?: number, code?: string, exit_code?: number}} defaults
+ * @returns {(options: {message: string, status?: number, code?: string, exit_code?: number, hint?: string}) => Error}
+ * @example
+ * const createError = errorFactory({ status: 500, code: 'PROXY_SERVER_ERROR', exit_code: 1 });
+ */
+function errorFactory(defaults) {
+	return (options) =>
+		createError({
+			...options,
+			status: options.status || defaults.status,
+			code: options.code || defaults.code,
+			exit_code: options.exit_code ?? defaults.exit_code,
+		});
+}
+
+/**
+ * Turns an error code into the path segment of its type URI.
+ * @param {string} code
+ * @returns {string}
+ */
+function typeSlug(code) {
+	return code.toLowerCase().replace(/_/g, '-');
+}
+
+/**
+ * Converts an error into an RFC 9457 problem details object.
+ * Catalogued codes get their type URI and title; other errors get type "about:blank"
+ * and the reason phrase of their status. code, hint, exit_code and issues are kept as extension members.
+ * @param {Error|Object} err - Error thrown by this library or any object with message and status.
+ * @param {Object} [options]
+ * @param {string} [options.typeBase='/problems/'] - Prefix of catalogued type URIs.
+ * @param {string} [options.instance] - URI reference of this occurrence, usually the request path.
+ * @returns {{type: string, title: string, status: number, detail?: string, instance?: string, code: string}}
+ */
+function toProblem(err, { typeBase = DEFAULT_TYPE_BASE, instance = undefined } = {}) {
+	const code = (err && err.code) || 'UNKNOWN_ERROR';
+	const entry = lookupError(code);
+	const status = (err && err.status) || (entry && entry.status) || 500;
+
+	const problem = {
+		type: entry ? entry.type || `${typeBase}${typeSlug(code)}` : 'about:blank',
+		title: entry ? entry.title : STATUS_TITLES[status] || 'Error',
+		status,
+	};
+	if (err && err.message) problem.detail = err.message;
+	if (instance) problem.instance = instance;
+	problem.code = code;
+
+	const hint = (err && err.hint) || (entry && entry.hint);
+	if (hint) problem.hint = hint;
+	if (err && err.exit_code !== undefined) problem.exit_code = err.exit_code;
+	if (err && Array.isArray(err.issues)) problem.issues = err.issues;
+	if (err && err.extensions && typeof err.extensions === 'object') {
+		for (const [key, value] of Object.entries(err.extensions)) {
+			if (!(key in problem)) problem[key] = value;
+		}
+	}
+	return problem;
+}
+
+/**
+ * Renders an error as an application/problem+json Response.
+ * @param {Error|Object} err
+ * @param {Object} [options] - See toProblem(); `headers` adds response headers.
+ * @returns {Response}
+ */
+function problemResponse(err, { headers = {}, ...options } = {}) {
+	const problem = toProblem(err, options);
+	const responseHeaders = new Headers(headers);
+	responseHeaders.set('Content-Type', PROBLEM_CONTENT_TYPE);
+	return new Response(JSON.stringify(problem), { status: problem.status, headers: responseHeaders });
+}
+
+module.exports = {
+	ERROR_CATALOGUE,
+	PROBLEM_CONTENT_TYPE,
+	STATUS_TITLES,
+	registerErrors,
+	lookupError,
+	createError,
+	errorFactory,
+	toProblem,
+	problemResponse,
+};
+
+// cloudflare-workers-compatible-errors.js
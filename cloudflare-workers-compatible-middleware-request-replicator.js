@@ -1,21 +1,10 @@
+import { errorFactory } from './cloudflare-workers-compatible-errors';
+
 /**
- * Helper to create standardized structured errors
- * @param {Object} params
- * @param {string} params.message - Error message
- * @param {number} [params.status=500] - HTTP status code
- * @param {string} [params.code='UNKNOWN_ERROR'] - Error code identifier
- * @param {number} [params.exit_code=99] - Exit code for the process
- * @param {string} [params.hint] - Optional hint for developers
- * @returns {Error}
+ * Errors raised by RequestReplicator.
+ * @type {(options: {message: string, status?: number, code?: string, exit_code?: number, hint?: string}) => Error}
  */
-function createError({ message, status = 500, code = 'UNKNOWN_ERROR', exit_code = 99, hint }) {
-	const error = new Error(message);
-	error.status = status;
-	error.code = code;
-	error.exit_code = exit_code;
-	if (hint) error.hint = hint;
-	return error;
-}
+const createError = errorFactory({ status: 500, code: 'UNKNOWN_ERROR', exit_code: 99 });
 
 /**
  * Creates a middleware that replicates the incoming request to multiple destinations.
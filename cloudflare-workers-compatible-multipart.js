@@ -0,0 +1,536 @@
+import { errorFactory } from './cloudflare-workers-compatible-errors';
+
+/**
+ * Errors raised while parsing multipart/form-data bodies.
+ * @type {(options: {message: string, status?: number, code?: string, exit_code?: number, hint?: string}) => Error}
+ */
+const createError = errorFactory({ status: 400, code: 'MULTIPART_MALFORMED', exit_code: 115 });
+
+/**
+ * Default parser limits. Sizes are in bytes.
+ * @type {{maxParts: number, maxHeaderSize: number, maxPartSize: number, maxTotalSize: number}}
+ */
+const DEFAULT_LIMITS = {
+	maxParts: 1000,
+	maxHeaderSize: 16 * 1024,
+	maxPartSize: Infinity,
+	maxTotalSize: Infinity,
+};
+
+/**
+ * Smallest R2 multipart upload part; every part but the last must have this exact size.
+ * @type {number}
+ */
+const R2_UPLOAD_PART_SIZE = 5 * 1024 * 1024;
+
+/** @type {TextEncoder} */
+const encoder = new TextEncoder();
+/** @type {TextDecoder} */
+const decoder = new TextDecoder();
+
+/**
+ * Finds a byte sequence in a buffer.
+ * @param {Uint8Array} haystack
+ * @param {Uint8Array} needle
+ * @param {number} [from=0]
+ * @returns {number} Index of the first match or -1.
+ */
+function indexOfBytes(haystack, needle, from = 0) {
+	const first = needle[0];
+	const last = haystack.length - needle.length;
+	outer: for (let index = haystack.indexOf(first, from); index !== -1 && index <= last; index = haystack.indexOf(first, index + 1)) {
+		for (let offset = 1; offset < needle.length; offset++) {
+			if (haystack[index + offset] !== needle[offset]) continue outer;
+		}
+		return index;
+	}
+	return -1;
+}
+
+/**
+ * Concatenates two byte arrays.
+ * @param {Uint8Array} a
+ * @param {Uint8Array} b
+ * @returns {Uint8Array}
+ */
+function concatBytes(a, b) {
+	if (a.length === 0) return b;
+	const out = new Uint8Array(a.length + b.length);
+	out.set(a, 0);
+	out.set(b, a.length);
+	return out;
+}
+
+/**
+ * Reads the boundary parameter of a multipart Content-Type.
+ * @param {string|null} contentType
+ * @returns {string|null}
+ */
+function parseBoundary(contentType) {
+	if (!contentType || !/^\s*multipart\//i.test(contentType)) return null;
+	const match = contentType.match(/;\s*boundary=(?:"([^"]+)"|([^;\s]+))/i);
+	return match ? match[1] || match[2] : null;
+}
+
+/**
+ * Splits a header value such as `form-data; name="a"; filename*=UTF-8''na%C3%AFve.txt`
+ * into its value and parameters. Extended (RFC 8187) parameters win over plain ones.
+ * @param {string} header
+ * @returns {{value: string, params: Object<string, string>}}
+ */
+function parseHeaderParams(header) {
+	const [value, ...rest] = header.match(/(?:[^;"]+|"(?:[^"\\]|\\.)*")+/g) || [''];
+	const params = {};
+	for (const part of rest) {
+		const eq = part.indexOf('=');
+		if (eq === -1) continue;
+		const key = part.slice(0, eq).trim().toLowerCase();
+		let paramValue = part.slice(eq + 1).trim();
+		if (key.endsWith('*')) {
+			const extended = paramValue.match(/^([^']*)'[^']*'(.*)$/);
+			if (!extended) continue;
+			try {
+				params[key.slice(0, -1)] = decodeURIComponent(extended[2]);
+			} catch {
+				continue;
+			}
+			continue;
+		}
+		if (paramValue.startsWith('"')) paramValue = paramValue.slice(1, -1).replace(/\\(.)/g, '$1');
+		if (!Object.prototype.hasOwnProperty.call(params, key)) params[key] = paramValue;
+	}
+	return { value: value.trim().toLowerCase(), params };
+}
+
+/**
+ * One part of a multipart body. The body streams straight from the request and must be
+ * consumed before moving to the next part; unread bytes are skipped when iteration continues.
+ */
+class MultipartPart {
+	/**
+	 * @param {Headers} headers - Part headers.
+	 * @param {ReadableStream<Uint8Array>} body - Part body.
+	 */
+	constructor(headers, body) {
+		const disposition = parseHeaderParams(headers.get('content-disposition') || '');
+		/** @type {Headers} */
+		this.headers = headers;
+		/** @type {string|null} Form field name. */
+		this.name = disposition.params.name ?? null;
+		/** @type {string|null} Client file name; present for file inputs. */
+		this.filename = disposition.params.filename ?? null;
+		/** @type {boolean} */
+		this.isFile = this.filename !== null;
+		/** @type {string} */
+		this.contentType = headers.get('content-type') || (this.isFile ? 'application/octet-stream' : 'text/plain');
+		/** @type {ReadableStream<Uint8Array>} */
+		this.body = body;
+	}
+
+	/**
+	 * Reads the part body as text.
+	 * @returns {Promise<string>}
+	 */
+	text() {
+		return new Response(this.body).text();
+	}
+
+	/**
+	 * Reads the part body as an ArrayBuffer.
+	 * @returns {Promise<ArrayBuffer>}
+	 */
+	arrayBuffer() {
+		return new Response(this.body).arrayBuffer();
+	}
+}
+
+/**
+ * Incremental multipart/form-data parser over a byte stream. Only the unparsed
+ * tail of the input is buffered, so memory stays bounded by chunk and header sizes.
+ * @private
+ */
+class MultipartStreamParser {
+	/**
+	 * @param {ReadableStream<Uint8Array>} stream - Request body.
+	 * @param {string} boundary - Boundary from the Content-Type.
+	 * @param {Object} limits - See parseMultipart().
+	 */
+	constructor(stream, boundary, limits) {
+		this._reader = stream.getReader();
+		this._buffer = new Uint8Array(0);
+		this._dashBoundary = encoder.encode(`--${boundary}`);
+		this._delimiter = encoder.encode(`\r\n--${boundary}`);
+		this._limits = limits;
+		this._total = 0;
+		this._partSize = 0;
+		this._partEnded = true;
+	}
+
+	/**
+	 * Reads one more chunk of input.
+	 * @returns {Promise<boolean>} False at the end of the input.
+	 */
+	async _fill() {
+		const { done, value } = await this._reader.read();
+		if (done) return false;
+		const chunk = value instanceof Uint8Array ? value : new Uint8Array(value);
+		this._total += chunk.length;
+		if (this._total > this._limits.maxTotalSize) {
+			throw createError({
+				message: `Multipart body exceeds ${this._limits.maxTotalSize} bytes.`,
+				status: 413,
+				code: 'MULTIPART_TOO_LARGE',
+				exit_code: 117,
+			});
+		}
+		this._buffer = concatBytes(this._buffer, chunk);
+		return true;
+	}
+
+	/**
+	 * Reads until a byte sequence is buffered and returns its index.
+	 * @param {Uint8Array} needle
+	 * @param {number} limit - Maximum bytes to buffer while searching.
+	 * @param {() => Error} tooLarge - Error raised past the limit.
+	 * @returns {Promise<number>}
+	 */
+	async _find(needle, limit, tooLarge) {
+		let from = 0;
+		for (;;) {
+			const index = indexOfBytes(this._buffer, needle, from);
+			if (index !== -1) return index;
+			if (this._buffer.length > limit) throw tooLarge();
+			from = Math.max(0, this._buffer.length - needle.length + 1);
+			if (!(await this._fill())) {
+				throw createError({ message: 'Multipart body ended unexpectedly.', exit_code: 115 });
+			}
+		}
+	}
+
+	/**
+	 * Ensures at least `count` bytes are buffered.
+	 * @param {number} count
+	 * @returns {Promise<void>}
+	 */
+	async _ensure(count) {
+		while (this._buffer.length < count) {
+			if (!(await this._fill())) {
+				throw createError({ message: 'Multipart body ended unexpectedly.', exit_code: 115 });
+			}
+		}
+	}
+
+	/**
+	 * Returns the next chunk of the current part body, or null at its end.
+	 * @returns {Promise<Uint8Array|null>}
+	 */
+	async nextBodyChunk() {
+		while (!this._partEnded) {
+			const index = indexOfBytes(this._buffer, this._delimiter);
+			let chunk;
+			if (index !== -1) {
+				chunk = this._buffer.subarray(0, index);
+				this._buffer = this._buffer.subarray(index + this._delimiter.length);
+				this._partEnded = true;
+			} else if (this._buffer.length >= this._delimiter.length) {
+				// Keep a tail that may be the start of a delimiter split across chunks
+				const safe = this._buffer.length - this._delimiter.length + 1;
+				chunk = this._buffer.subarray(0, safe);
+				this._buffer = this._buffer.subarray(safe);
+			} else {
+				if (!(await this._fill())) {
+					throw createError({ message: 'Multipart part is missing its closing boundary.', exit_code: 115 });
+				}
+				continue;
+			}
+
+			this._partSize += chunk.length;
+			if (this._partSize > this._limits.maxPartSize) {
+				throw createError({
+					message: `Multipart part exceeds ${this._limits.maxPartSize} bytes.`,
+					status: 413,
+					code: 'MULTIPART_PART_TOO_LARGE',
+					exit_code: 116,
+				});
+			}
+			if (chunk.length > 0) return chunk.slice();
+		}
+		return null;
+	}
+
+	/**
+	 * Yields the parts of the body in order.
+	 * @returns {AsyncGenerator<MultipartPart>}
+	 */
+	async *parts() {
+		const headersTooLarge = () =>
+			createError({
+				message: `Multipart headers exceed ${this._limits.maxHeaderSize} bytes.`,
+				status: 413,
+				code: 'MULTIPART_HEADERS_TOO_LARGE',
+				exit_code: 119,
+			});
+
+		// Skip the preamble up to the first boundary
+		const start = await this._find(this._dashBoundary, this._limits.maxHeaderSize, headersTooLarge);
+		this._buffer = this._buffer.subarray(start + this._dashBoundary.length);
+
+		let count = 0;
+		try {
+			for (;;) {
+				await this._ensure(2);
+				if (this._buffer[0] === 45 && this._buffer[1] === 45) return; // "--": close delimiter
+
+				// Part headers run from the CRLF after the boundary to the blank line
+				const end = await this._find(encoder.encode('\r\n\r\n'), this._limits.maxHeaderSize, headersTooLarge);
+				const lineEnd = indexOfBytes(this._buffer, encoder.encode('\r\n'));
+				const headers = new Headers();
+				if (lineEnd < end) {
+					for (const line of decoder.decode(this._buffer.subarray(lineEnd + 2, end)).split('\r\n')) {
+						const colon = line.indexOf(':');
+						if (colon > 0) headers.append(line.slice(0, colon).trim(), line.slice(colon + 1).trim());
+					}
+				}
+				this._buffer = this._buffer.subarray(end + 4);
+
+				if (++count > this._limits.maxParts) {
+					throw createError({
+						message: `Multipart body has more than ${this._limits.maxParts} parts.`,
+						status: 413,
+						code: 'MULTIPART_TOO_MANY_PARTS',
+						exit_code: 118,
+					});
+				}
+
+				this._partEnded = false;
+				this._partSize = 0;
+				const body = new ReadableStream({
+					pull: async (controller) => {
+						try {
+							const chunk = await this.nextBodyChunk();
+							if (chunk === null) controller.close();
+							else controller.enqueue(chunk);
+						} catch (err) {
+							controller.error(err);
+						}
+					},
+				});
+				yield new MultipartPart(headers, body);
+
+				// Skip whatever the consumer left unread
+				while ((await this.nextBodyChunk()) !== null);
+			}
+		} finally {
+			this._reader.releaseLock();
+		}
+	}
+}
+
+/**
+ * Parses a multipart/form-data stream into parts without buffering the body.
+ * @example
+ * for await (const part of parseMultipart(request.body, boundary, { maxPartSize: 10e6 })) {
+ *   if (part.isFile) await env.BUCKET.put(part.filename, part.body);
+ *   else fields[part.name] = await part.text();
+ * }
+ * @param {ReadableStream<Uint8Array>} stream - Body stream.
+ * @param {string} boundary - Boundary parameter of the Content-Type.
+ * @param {Object} [limits]
+ * @param {number} [limits.maxPartSize=Infinity] - Maximum bytes of one part body; 413 MULTIPART_PART_TOO_LARGE.
+ * @param {number} [limits.maxTotalSize=Infinity] - Maximum bytes of the whole body; 413 MULTIPART_TOO_LARGE.
+ * @param {number} [limits.maxParts=1000] - Maximum number of parts; 413 MULTIPART_TOO_MANY_PARTS.
+ * @param {number} [limits.maxHeaderSize=16384] - Maximum bytes of one part's headers; 413 MULTIPART_HEADERS_TOO_LARGE.
+ * @returns {AsyncGenerator<MultipartPart>}
+ */
+function parseMultipart(stream, boundary, limits = {}) {
+	return new MultipartStreamParser(stream, boundary, { ...DEFAULT_LIMITS, ...limits }).parts();
+}
+
+/**
+ * Reads up to `size` bytes from a stream reader, keeping any excess for the next call.
+ * @param {ReadableStreamDefaultReader<Uint8Array>} reader
+ * @returns {(size: number) => Promise<{bytes: Uint8Array, done: boolean}>}
+ */
+function createChunker(reader) {
+	let pending = new Uint8Array(0);
+	let ended = false;
+	return async (size) => {
+		while (pending.length < size && !ended) {
+			const { done, value } = await reader.read();
+			if (done) ended = true;
+			else pending = concatBytes(pending, value);
+		}
+		const bytes = pending.subarray(0, size);
+		pending = pending.subarray(bytes.length);
+		return { bytes, done: ended && pending.length === 0 };
+	};
+}
+
+/**
+ * Streams a file part into an R2 bucket. Small files are put in one request; larger ones use
+ * an R2 multipart upload with fixed-size parts, so at most one part is held in memory.
+ * Buckets without createMultipartUpload (e.g. the memory emulator) receive the stream directly.
+ * @param {Object} bucket - R2 bucket binding.
+ * @param {string} key - Object key.
+ * @param {MultipartPart} part - File part.
+ * @param {number} [partSize] - Upload part size.
+ * @returns {Promise<number>} Bytes written.
+ */
+async function putPartToR2(bucket, key, part, partSize = R2_UPLOAD_PART_SIZE) {
+	const options = {
+		httpMetadata: { contentType: part.contentType },
+		customMetadata: { filename: part.filename, field: part.name || '' },
+	};
+	const reader = part.body.getReader();
+	const next = createChunker(reader);
+	const first = await next(partSize);
+
+	if (first.done) {
+		await bucket.put(key, first.bytes, options);
+		return first.bytes.length;
+	}
+
+	if (typeof bucket.createMultipartUpload !== 'function') {
+		let size = first.bytes.length;
+		const rest = new ReadableStream({
+			start(controller) {
+				controller.enqueue(first.bytes);
+			},
+			async pull(controller) {
+				const { bytes, done } = await next(partSize);
+				size += bytes.length;
+				if (bytes.length > 0) controller.enqueue(bytes);
+				if (done) controller.close();
+			},
+		});
+		await bucket.put(key, rest, options);
+		return size;
+	}
+
+	const upload = await bucket.createMultipartUpload(key, options);
+	try {
+		const uploaded = [await upload.uploadPart(1, first.bytes)];
+		let size = first.bytes.length;
+		for (let done = false; !done; ) {
+			const chunk = await next(partSize);
+			done = chunk.done;
+			if (chunk.bytes.length === 0) continue;
+			uploaded.push(await upload.uploadPart(uploaded.length + 1, chunk.bytes));
+			size += chunk.bytes.length;
+		}
+		await upload.complete(uploaded);
+		return size;
+	} catch (err) {
+		await upload.abort().catch(() => {});
+		throw err;
+	}
+}
+
+/**
+ * Adds a value under a name, turning repeated names into arrays.
+ * @param {Object} target
+ * @param {string} name
+ * @param {*} value
+ */
+function addValue(target, name, value) {
+	if (!Object.prototype.hasOwnProperty.call(target, name)) target[name] = value;
+	else if (Array.isArray(target[name])) target[name].push(value);
+	else target[name] = [target[name], value];
+}
+
+/**
+ * Whether a part is what browsers send for a file input left empty: filename="" and no bytes.
+ * Any bytes read are put back, so part.body still streams from the start.
+ * @param {MultipartPart} part
+ * @returns {Promise<boolean>}
+ */
+async function isEmptyFileInput(part) {
+	if (part.filename !== '') return false;
+	const reader = part.body.getReader();
+	let first;
+	do {
+		first = await reader.read();
+	} while (!first.done && first.value.length === 0);
+	if (first.done) return true;
+
+	part.body = new ReadableStream({
+		start(controller) {
+			controller.enqueue(first.value);
+		},
+		async pull(controller) {
+			const { done, value } = await reader.read();
+			if (done) controller.close();
+			else controller.enqueue(value);
+		},
+		cancel(reason) {
+			return reader.cancel(reason);
+		},
+	});
+	return false;
+}
+
+/**
+ * Collects text fields into memory and streams file parts into an R2 bucket.
+ * Empty file inputs are skipped. When a later part fails (size limit, malformed body),
+ * the objects already written are deleted before the error is rethrown.
+ * @param {AsyncIterable<MultipartPart>} parts - e.g. from parseMultipart().
+ * @param {Object} options
+ * @param {Object} options.bucket - R2 bucket binding receiving the files.
+ * @param {(part: MultipartPart, index: number) => string} [options.key] - Object key of a file; defaults to "uploads/<uuid>".
+ * @param {number} [options.maxFieldSize=65536] - Maximum bytes of a text field; 413 MULTIPART_FIELD_TOO_LARGE.
+ * @returns {Promise<{fields: Object<string, string|string[]>, files: Object<string, Object|Object[]>}>}
+ * Files are described as { key, filename, contentType, size }.
+ */
+async function collectMultipart(parts, { bucket, key = () => `uploads/${crypto.randomUUID()}`, maxFieldSize = 64 * 1024 } = {}) {
+	if (!bucket || typeof bucket.put !== 'function') {
+		throw createError({
+			message: 'collectMultipart() needs an R2 bucket binding.',
+			status: 500,
+			code: 'MULTIPART_BUCKET_MISSING',
+			exit_code: 120,
+		});
+	}
+
+	const fields = {};
+	const files = {};
+	const written = [];
+	let index = 0;
+	try {
+		for await (const part of parts) {
+			const name = part.name ?? '';
+			if (part.isFile) {
+				if (await isEmptyFileInput(part)) continue;
+				const objectKey = key(part, index++);
+				// Recorded before the upload so a partly streamed object is removed too
+				written.push(objectKey);
+				const size = await putPartToR2(bucket, objectKey, part);
+				addValue(files, name, { key: objectKey, filename: part.filename, contentType: part.contentType, size });
+				continue;
+			}
+
+			let size = 0;
+			const chunks = [];
+			for await (const chunk of part.body) {
+				size += chunk.length;
+				if (size > maxFieldSize) {
+					throw createError({
+						message: `Field "${name}" exceeds ${maxFieldSize} bytes.`,
+						status: 413,
+						code: 'MULTIPART_FIELD_TOO_LARGE',
+						exit_code: 121,
+					});
+				}
+				chunks.push(chunk);
+			}
+			addValue(fields, name, decoder.decode(chunks.reduce(concatBytes, new Uint8Array(0))));
+		}
+	} catch (err) {
+		await Promise.allSettled(written.map((objectKey) => bucket.delete(objectKey)));
+		throw err;
+	}
+	return { fields, files };
+}
+
+module.exports = { parseMultipart, parseBoundary, collectMultipart, putPartToR2, MultipartPart };
+
+// cloudflare-workers-compatible-multipart.js
@@ -0,0 +1,220 @@
+import { compilePattern } from './cloudflare-workers-compatible-route-trie';
+
+/**
+ * HTTP methods that OpenAPI accepts as path item operations.
+ * @type {string[]}
+ */
+const OPENAPI_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+/**
+ * Converts a validation schema into a JSON Schema object.
+ * Accepts schemas exposing toJSONSchema(), schemas carrying a jsonSchema property,
+ * or plain JSON Schema objects. Opaque validators fall back to an empty schema.
+ * @param {*} schema - Validation schema from options.validate.
+ * @returns {Object} JSON Schema.
+ */
+function toJSONSchema(schema) {
+	if (!schema || typeof schema !== 'object') return {};
+	if (typeof schema.toJSONSchema === 'function') return schema.toJSONSchema();
+	if (schema.jsonSchema && typeof schema.jsonSchema === 'object') return schema.jsonSchema;
+	if (typeof schema.safeParse === 'function') return {};
+	return schema;
+}
+
+/**
+ * Turns a route pattern into an OpenAPI path template and its path parameters.
+ * ":id" becomes "{id}", named wildcards become "{name}" and unnamed ones "{wildcard}".
+ * @param {string} path - Route pattern.
+ * @returns {{template: string, parameters: Array<Object>}}
+ */
+function toPathTemplate(path) {
+	const parts = [];
+	const parameters = [];
+	const seen = new Set();
+	let unnamed = 0;
+
+	for (const token of compilePattern(path)) {
+		if (token.type === 'literal' || token.type === 'invalid') {
+			parts.push(token.raw);
+			continue;
+		}
+
+		let name = token.name;
+		if (!name) {
+			unnamed++;
+			name = unnamed === 1 ? 'wildcard' : `wildcard${unnamed}`;
+		}
+		parts.push(`{${name}}`);
+		if (seen.has(name)) continue;
+		seen.add(name);
+
+		const parameter = { name, in: 'path', required: true, schema: { type: 'string' } };
+		if (token.type === 'param' && token.constraint) {
+			parameter.schema = { ...token.constraint.schema };
+		}
+		if (token.type === 'param' && token.optional) {
+			parameter.description = 'Optional segment; the route also matches without it.';
+		}
+		if (token.type === 'param' && token.forbidden.length > 0) {
+			parameter.schema.not = { enum: token.forbidden };
+		}
+		if (token.type === 'wildcard') {
+			parameter.description = `Spans ${token.min} to ${token.max} path segments.`;
+		}
+		if (token.type === 'catchAll') {
+			parameter.description = 'Spans the remaining path segments.';
+		}
+		parameters.push(parameter);
+	}
+
+	return { template: '/' + parts.join('/'), parameters };
+}
+
+/**
+ * Turns a route host constraint into OpenAPI servers. "*.example.com" becomes a server URL
+ * with a {subdomain} variable; host params (":tenant.api.example.com", "{region}.{env}.example.com")
+ * become variables of the same name.
+ * @param {string} [hostname]
+ * @returns {Array<Object>|undefined}
+ */
+function toServers(hostname) {
+	if (!hostname || hostname === '*') return undefined;
+	const variables = {};
+	let host = hostname;
+	if (host.startsWith('*.')) {
+		host = `{subdomain}${host.slice(1)}`;
+		variables.subdomain = { default: 'www' };
+	}
+	host = host
+		.split('.')
+		.map((label) => label.replace(/^:([a-zA-Z_][a-zA-Z0-9_]*)$/, '{$1}'))
+		.join('.');
+	for (const [, name] of host.matchAll(/\{([a-zA-Z_][a-zA-Z0-9_]*)\}/g)) {
+		if (!variables[name]) variables[name] = { default: name, description: `Host parameter "${name}".` };
+	}
+
+	const server = { url: `https://${host}` };
+	if (Object.keys(variables).length > 0) server.variables = variables;
+	return [server];
+}
+
+/**
+ * Builds query or header parameters from a JSON Schema describing the query or headers object.
+ * @param {Object} schema - JSON Schema with properties.
+ * @param {'query'|'header'} [location='query'] - Parameter location.
+ * @returns {Array<Object>}
+ */
+function toQueryParameters(schema, location = 'query') {
+	const properties = schema.properties || {};
+	const required = Array.isArray(schema.required) ? schema.required : [];
+	return Object.entries(properties).map(([name, propertySchema]) => {
+		const parameter = { name, in: location, required: required.includes(name), schema: propertySchema };
+		// Nested query objects are sent as filter[status]=open
+		if (location === 'query' && propertySchema.type === 'object') {
+			parameter.style = 'deepObject';
+			parameter.explode = true;
+		}
+		return parameter;
+	});
+}
+
+/**
+ * Builds OpenAPI responses from options.validate.response: one schema for 200,
+ * or schemas keyed by status code with an optional "default".
+ * @param {*} rules
+ * @returns {Object}
+ */
+function toResponses(rules) {
+	const bySchema = typeof rules.safeParse === 'function' || typeof rules.toJSONSchema === 'function' ? { 200: rules } : rules;
+	const responses = {};
+	for (const [status, schema] of Object.entries(bySchema)) {
+		responses[status] = {
+			description: status === 'default' ? 'Default response' : `Status ${status}`,
+			content: { 'application/json': { schema: toJSONSchema(schema) } },
+		};
+	}
+	return responses;
+}
+
+/**
+ * Builds an OpenAPI operation object for a single route.
+ * @param {Object} route - Registered route record.
+ * @param {Array<Object>} pathParameters - Parameters derived from the path.
+ * @returns {Object}
+ */
+function toOperation(route, pathParameters) {
+	const options = route.options || {};
+	const validate = options.validate || {};
+	const operation = {};
+
+	if (options.summary) operation.summary = options.summary;
+	if (options.description) operation.description = options.description;
+	if (options.operationId) operation.operationId = options.operationId;
+	if (Array.isArray(options.tags)) operation.tags = options.tags;
+
+	// validate.params refines the schemas derived from the path pattern
+	const paramProperties = validate.params ? toJSONSchema(validate.params).properties || {} : {};
+	const parameters = pathParameters.map((parameter) =>
+		paramProperties[parameter.name] ? { ...parameter, schema: paramProperties[parameter.name] } : parameter
+	);
+	if (validate.query) parameters.push(...toQueryParameters(toJSONSchema(validate.query)));
+	if (validate.headers) parameters.push(...toQueryParameters(toJSONSchema(validate.headers), 'header'));
+	if (parameters.length > 0) operation.parameters = parameters;
+
+	if (validate.body) {
+		// options.contentTypes narrows what the route accepts; JSON otherwise
+		const bodySchema = toJSONSchema(validate.body);
+		const mediaTypes = Array.isArray(options.contentTypes) && options.contentTypes.length > 0 ? options.contentTypes : ['application/json'];
+		operation.requestBody = {
+			required: true,
+			content: Object.fromEntries(mediaTypes.map((type) => [type, { schema: bodySchema }])),
+		};
+	}
+
+	if (options.responses) operation.responses = options.responses;
+	else if (validate.response) operation.responses = toResponses(validate.response);
+
+	const servers = toServers(route.findRequest && route.findRequest.hostname);
+	if (servers) operation.servers = servers;
+
+	return operation;
+}
+
+/**
+ * Generates an OpenAPI 3.1 document from a route table.
+ * Routes registered with { openapi: false } are left out.
+ * @param {Map<string, Array<Object>>} routes - Route table keyed by lowercase method.
+ * @param {Object} [options]
+ * @param {Object} [options.info] - OpenAPI info object.
+ * @param {Array<Object>} [options.servers] - OpenAPI servers.
+ * @returns {Object} OpenAPI document.
+ */
+function buildOpenAPIDocument(routes, { info = {}, servers } = {}) {
+	const document = {
+		openapi: '3.1.0',
+		info: { title: 'API', version: '1.0.0', ...info },
+		paths: {},
+	};
+	if (Array.isArray(servers) && servers.length > 0) document.servers = servers;
+
+	for (const [method, methodRoutes] of routes.entries()) {
+		if (!OPENAPI_METHODS.includes(method)) continue;
+
+		for (const route of methodRoutes) {
+			if (route.options && route.options.openapi === false) continue;
+			if (route.path === '*') continue;
+
+			const { template, parameters } = toPathTemplate(route.path);
+			const pathItem = document.paths[template] || (document.paths[template] = {});
+			// First registration wins, mirroring how matchRoute resolves duplicates
+			if (pathItem[method]) continue;
+			pathItem[method] = toOperation(route, parameters);
+		}
+	}
+
+	return document;
+}
+
+module.exports = { buildOpenAPIDocument, toPathTemplate, toJSONSchema };
+
+// cloudflare-workers-compatible-openapi.js
@@ -1,11 +1,10 @@
-function createError({ message, status = 500, code = 'PROXY_SERVER_ERROR', exit_code = 1, hint }) {
-	const e = new Error(message);
-	e.status = status;
-	e.code = code;
-	e.exit_code = exit_code;
-	if (hint) e.hint = hint;
-	return e;
-}
+import { errorFactory } from './cloudflare-workers-compatible-errors';
+
+/**
+ * Errors raised by ProxyServer.
+ * @type {(options: {message: string, status?: number, code?: string, exit_code?: number, hint?: string}) => Error}
+ */
+const createError = errorFactory({ status: 500, code: 'PROXY_SERVER_ERROR', exit_code: 1 });
 
 /**
  * ProxyServer: Middleware to forward requests transparently to a target server,
@@ -72,6 +71,7 @@ class ProxyServer {
 					headers: outgoingHeaders,
 					body: requestBody,
 					redirect: 'manual',
+					signal: req.signal,
 				};
 				for (const hook of this.hooks) {
 					const hookResult = await hook(req, res, env, ctx);
@@ -0,0 +1,242 @@
+/**
+ * Key dropped from every query path: assigning it on an ordinary object replaces its prototype,
+ * and callers may copy req.query into one.
+ * @type {string}
+ */
+const UNSAFE_KEY = '__proto__';
+
+/**
+ * Default parseQuery() options.
+ * @type {{depth: number, arrayLimit: number, parameterLimit: number, allowDots: boolean}}
+ */
+const DEFAULT_OPTIONS = {
+	depth: 5,
+	arrayLimit: 100,
+	parameterLimit: 1000,
+	allowDots: true,
+};
+
+/**
+ * Splits a query key into its path: "filter[status]" -> ["filter", "status"],
+ * "a.b" -> ["a", "b"], "tags[]" -> ["tags", ""]. Segments past the depth stay one literal key.
+ * @param {string} key
+ * @param {{depth: number, allowDots: boolean}} options
+ * @returns {string[]}
+ */
+function splitKey(key, { depth, allowDots }) {
+	const source = allowDots ? key.replace(/\.([^.[\]]+)/g, '[$1]') : key;
+	const bracket = source.indexOf('[');
+	if (bracket <= 0) return [key];
+
+	const path = [source.slice(0, bracket)];
+	const segment = /\[([^[\]]*)\]/g;
+	segment.lastIndex = bracket;
+	let end = bracket;
+	let match;
+	while ((match = segment.exec(source)) !== null && match.index === end) {
+		if (path.length > depth) break;
+		path.push(match[1]);
+		end = segment.lastIndex;
+	}
+	// Unbalanced or too deep: keep the rest as a literal key
+	if (end < source.length) path.push(source.slice(end));
+	return path;
+}
+
+/**
+ * Whether a key segment is an array index within the limit.
+ * @param {string} segment
+ * @param {number} arrayLimit
+ * @returns {boolean}
+ */
+function isIndex(segment, arrayLimit) {
+	return /^\d+$/.test(segment) && Number(segment) <= arrayLimit;
+}
+
+/**
+ * Own-property check, so keys such as "toString" never resolve through Object.prototype.
+ * @param {Object|Array} container
+ * @param {string|number} key
+ * @returns {boolean}
+ */
+function hasOwn(container, key) {
+	return Object.prototype.hasOwnProperty.call(container, key);
+}
+
+/**
+ * Adds a value under a key, turning repeated keys into arrays.
+ * @param {Object|Array} container
+ * @param {string|number} key
+ * @param {*} value
+ */
+function addValue(container, key, value) {
+	const existing = hasOwn(container, key) ? container[key] : undefined;
+	if (existing === undefined) container[key] = value;
+	else if (Array.isArray(existing)) existing.push(value);
+	else container[key] = [existing, value];
+}
+
+/**
+ * Turns an array into an object keyed by index, so it can take non-numeric keys.
+ * @param {Array} array
+ * @returns {Object}
+ */
+function arrayToObject(array) {
+	const object = Object.create(null);
+	array.forEach((item, index) => {
+		if (item !== undefined) object[index] = item;
+	});
+	return object;
+}
+
+/**
+ * Parses a query string into nested values:
+ * - repeated keys become arrays: "tag=a&tag=b" -> { tag: ['a', 'b'] }
+ * - brackets and dots nest: "filter[status]=open&sort.by=date" -> { filter: { status: 'open' }, sort: { by: 'date' } }
+ * - "ids[]=1&ids[]=2" and "ids[0]=1&ids[1]=2" build arrays; indices above arrayLimit become object keys
+ * When a key is used both as a value and as an object ("a=1&a[b]=2"), the later parameter is dropped.
+ * Objects have a null prototype, so any key is plain data; only "__proto__" is dropped.
+ * Values stay strings; see coerceQuery() for types.
+ * @example
+ * parseQuery('?filter[status]=open&filter[tags][]=a&filter[tags][]=b&page=2');
+ * // { filter: { status: 'open', tags: ['a', 'b'] }, page: '2' }
+ * parseQuery('toString=x&a[valueOf]=1&constructor=c');
+ * // { toString: 'x', a: { valueOf: '1' }, constructor: 'c' }
+ * @param {string|URLSearchParams} input - Query string, with or without "?", or URLSearchParams.
+ * @param {Object} [options]
+ * @param {number} [options.depth=5] - Maximum nesting depth.
+ * @param {number} [options.arrayLimit=100] - Highest array index honoured.
+ * @param {number} [options.parameterLimit=1000] - Parameters read before the rest are ignored.
+ * @param {boolean} [options.allowDots=true] - Treat "a.b" like "a[b]".
+ * @returns {Object}
+ */
+function parseQuery(input, options = {}) {
+	const settings = { ...DEFAULT_OPTIONS, ...options };
+	const params = input instanceof URLSearchParams ? input : new URLSearchParams(input || '');
+	const result = Object.create(null);
+	let count = 0;
+
+	for (const [key, value] of params) {
+		if (++count > settings.parameterLimit) break;
+		const path = splitKey(key, settings);
+		if (path.includes(UNSAFE_KEY)) continue;
+
+		let container = result;
+		let replaceContainer = null;
+		for (let index = 0; index < path.length; index++) {
+			let segment = path[index];
+			if (Array.isArray(container)) {
+				if (segment === '') segment = container.length;
+				else if (isIndex(segment, settings.arrayLimit)) segment = Number(segment);
+				else container = replaceContainer(arrayToObject(container));
+			}
+
+			if (index === path.length - 1) {
+				const existing = hasOwn(container, segment) ? container[segment] : undefined;
+				if (existing === undefined || typeof existing !== 'object' || Array.isArray(existing)) addValue(container, segment, value);
+				break;
+			}
+
+			const next = path[index + 1];
+			if (!hasOwn(container, segment)) container[segment] = next === '' || isIndex(next, settings.arrayLimit) ? [] : Object.create(null);
+			else if (typeof container[segment] !== 'object') break;
+			const owner = container;
+			const ownerKey = segment;
+			replaceContainer = (replacement) => (owner[ownerKey] = replacement);
+			container = container[segment];
+		}
+	}
+
+	return compactArrays(result);
+}
+
+/**
+ * Removes the holes left by sparse indices ("a[3]=x" -> ['x']), keeping index order.
+ * @param {*} value
+ * @returns {*}
+ */
+function compactArrays(value) {
+	if (Array.isArray(value)) return value.filter((item) => item !== undefined).map(compactArrays);
+	if (value && typeof value === 'object') {
+		for (const key of Object.keys(value)) value[key] = compactArrays(value[key]);
+	}
+	return value;
+}
+
+/**
+ * Builds a query string from nested values, the inverse of parseQuery(): arrays repeat
+ * the key and objects use brackets. undefined and null values are skipped.
+ * @example
+ * stringifyQuery({ filter: { status: 'open' }, tag: ['a', 'b'] }); // 'filter%5Bstatus%5D=open&tag=a&tag=b'
+ * @param {Object} query
+ * @returns {string} Query string without "?".
+ */
+function stringifyQuery(query) {
+	const search = new URLSearchParams();
+	const append = (key, value) => {
+		if (value === undefined || value === null) return;
+		if (Array.isArray(value)) {
+			for (const item of value) {
+				if (item !== null && typeof item === 'object') append(`${key}[]`, item);
+				else append(key, item);
+			}
+		} else if (typeof value === 'object' && !(value instanceof Date)) {
+			for (const [child, childValue] of Object.entries(value)) append(`${key}[${child}]`, childValue);
+		} else {
+			search.append(key, value instanceof Date ? value.toISOString() : String(value));
+		}
+	};
+	for (const [key, value] of Object.entries(query || {})) append(key, value);
+	return search.toString();
+}
+
+/**
+ * Converts parsed query values to the types a schema expects: numbers, booleans ("true", "false",
+ * "1", "0", and a bare "?flag"), single values into arrays, recursing through objects and arrays.
+ * Values that do not convert are left for validation to report. Only schemas of
+ * cloudflare-workers-compatible-schema are understood; other values are returned unchanged.
+ * @param {*} value - Output of parseQuery().
+ * @param {import('./cloudflare-workers-compatible-schema').Schema} [schema] - Route query schema.
+ * @returns {*}
+ */
+function coerceQuery(value, schema) {
+	const def = schema && schema._def;
+	if (!def || value === undefined) return value;
+
+	switch (def.type) {
+		case 'number': {
+			if (typeof value !== 'string' || value.trim() === '') return value;
+			const number = Number(value);
+			return Number.isFinite(number) ? number : value;
+		}
+		case 'boolean': {
+			if (typeof value !== 'string') return value;
+			const lower = value.toLowerCase();
+			if (['true', '1', ''].includes(lower)) return true;
+			if (['false', '0'].includes(lower)) return false;
+			return value;
+		}
+		case 'enum': {
+			const found = def.values.find((allowed) => String(allowed) === String(value));
+			return found === undefined ? value : found;
+		}
+		case 'array': {
+			const items = Array.isArray(value) ? value : [value];
+			return items.map((item) => coerceQuery(item, def.item));
+		}
+		case 'object': {
+			if (value === null || typeof value !== 'object' || Array.isArray(value)) return value;
+			const output = Object.assign(Object.create(null), value);
+			for (const [key, child] of Object.entries(def.shape)) {
+				if (hasOwn(output, key)) output[key] = coerceQuery(output[key], child);
+			}
+			return output;
+		}
+		default:
+			return value;
+	}
+}
+
+module.exports = { parseQuery, stringifyQuery, coerceQuery };
+
+// cloudflare-workers-compatible-query.js
@@ -1,22 +1,10 @@
 import { createPathMatcher } from './create-path-matcher';
+import { errorFactory } from './cloudflare-workers-compatible-errors';
 /**
- * Creates a standardized error object.
- * @param {Object} options
- * @param {string} options.message - Error message
- * @param {number} [options.status=500] - HTTP status code
- * @param {string} [options.code="ACCESS_RATE_LIMITER_ERROR"] - Error code string
- * @param {number} [options.exit_code=99] - Exit code or severity code
- * @param {string} [options.hint] - Developer hint
- * @returns {Error}
+ * Creates a standardized rate limiter error.
+ * @type {(options: {message: string, status?: number, code?: string, exit_code?: number, hint?: string}) => Error}
  */
-function createError({ message, status = 500, code = 'ACCESS_RATE_LIMITER_ERROR', exit_code = 99, hint = undefined }) {
-	const err = new Error(message);
-	err.status = status;
-	err.code = code;
-	err.exit_code = exit_code;
-	if (hint) err.hint = hint;
-	return err;
-}
+const createError = errorFactory({ status: 500, code: 'ACCESS_RATE_LIMITER_ERROR', exit_code: 99 });
 class AccessRateLimiter {
 	constructor() {
 		this.rules = [];
@@ -225,6 +213,9 @@ class AccessRateLimiter {
 		if (typeof this._globalOnBlocked === 'function') {
 			return this._globalOnBlocked(res, { key, rule, reason });
 		}
+		if (res.problemDetails) {
+			return res.sendProblem({ message: rule.message, status: rule.statusCode ?? 429, code: 'RATE_LIMITED', extensions: { reason } });
+		}
 		return res.setStatus(rule.statusCode ?? 429).send(`${rule.message} [${reason}] (${key})`);
 	}
 
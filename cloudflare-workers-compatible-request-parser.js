@@ -1,21 +1,22 @@
+import { negotiateMediaTypes, negotiateLanguages, negotiateEncodings } from './cloudflare-workers-compatible-content-negotiation';
+import { CONTENT_TYPES } from './cloudflare-workers-compatible-response-builder';
+import { errorFactory } from './cloudflare-workers-compatible-errors';
+import { parseMultipart, parseBoundary, collectMultipart } from './cloudflare-workers-compatible-multipart';
+import { mediaTypeEquals } from './cloudflare-workers-compatible-request-predicates';
+import { parseCookies, unsignCookieValue } from './cloudflare-workers-compatible-cookies';
+import { parseQuery, coerceQuery } from './cloudflare-workers-compatible-query';
+
 /**
- * Utility to create rich, developer-friendly errors.
- * @param {Object} options
- * @param {string} options.message - Error message.
- * @param {number} [options.status=400] - HTTP status code.
- * @param {string} [options.code='BAD_REQUEST'] - Error code string.
- * @param {number} [options.exit_code=1] - Numeric exit code for internal use.
- * @param {string} [options.hint=''] - Optional hint for debugging.
- * @returns {Error}
+ * Utility to create rich, developer-friendly request errors; 400 BAD_REQUEST unless stated.
+ * @type {(options: {message: string, status?: number, code?: string, exit_code?: number, hint?: string}) => Error}
  */
-function createError({ message, status = 400, code = 'BAD_REQUEST', exit_code = 1, hint = '' }) {
-	const error = new Error(message);
-	error.status = status;
-	error.code = code;
-	error.exit_code = exit_code;
-	if (hint) error.hint = hint;
-	return error;
-}
+const createError = errorFactory({ status: 400, code: 'BAD_REQUEST', exit_code: 1 });
+
+/**
+ * Body errors passed through unchanged by the body readers instead of becoming a generic 422.
+ * @type {string[]}
+ */
+const BODY_REJECTION_CODES = ['BODY_TOO_LARGE', 'BODY_UNSUPPORTED_MEDIA_TYPE'];
 
 /**
  * A helper class to parse Fetch API Request objects into
@@ -34,9 +35,18 @@ function createError({ message, status = 400, code = 'BAD_REQUEST', exit_code =
 class RequestParser {
 	/**
 	 * @param {Request} request - A Fetch API Request instance.
+	 * @param {Object} [routeMatcher] - Route match with params, segments and wildcards.
+	 * @param {Function} [dependencyResolver] - Resolves dependencies registered with RouteDispatcher.provide().
+	 * @param {Object} [options] - Usually merged by RouteDispatcher from its own and the route's options.
+	 * @param {{json?: number, text?: number, form?: number, raw?: number}} [options.limits] - Maximum body bytes per reader:
+	 *   json() -> json, text() -> text, formData() and multipart() -> form, arrayBuffer() -> raw.
+	 * @param {string[]} [options.contentTypes] - Media types the body may have; "type/*" wildcards allowed.
+	 * @param {string[]} [options.cookieSecrets] - Secrets verifying signedCookies, current one first.
+	 * @param {Object} [options.querySchema] - Route query schema (options.validate.query) driving the coercion of query.
+	 * @param {Object} [options.queryOptions] - parseQuery() options: depth, arrayLimit, parameterLimit, allowDots.
 	 * @throws {TypeError} If the provided argument is not a Request.
 	 */
-	constructor(originalRequest, routeMatcher = null) {
+	constructor(originalRequest, routeMatcher = null, dependencyResolver = null, options = {}) {
 		if (!(originalRequest instanceof Request)) {
 			throw createError({
 				message: 'RequestParser expects a Fetch API Request object.',
@@ -50,7 +60,7 @@ class RequestParser {
 		/** @private */
 		this._originalHeaders = new Headers(originalRequest.headers);
 		/** @private */
-		this._rawHeaders = this._originalHeaders.entries();
+		this._rawHeaders = Array.from(this._originalHeaders.entries());
 		/** @private */
 		this._headers = Object.fromEntries(this._rawHeaders.map(([key, value]) => [key.toLowerCase(), value]));
 
@@ -71,8 +81,8 @@ class RequestParser {
 		 */
 		this.urlObject = new URL(this._request.url);
 		/**
-		 * Parsed query parameters from the URL.
-		 * This is an object where keys are parameter names and values are their values.
+		 * Flat query parameters from the URL; a repeated key keeps its last value.
+		 * Use query for arrays, nested keys and typed values.
 		 * @type {Object.<string,string>}
 		 */
 		this.queryParams = Object.fromEntries(this.urlObject.searchParams.entries());
@@ -86,6 +96,74 @@ class RequestParser {
 		this.parsedQuery = this.queryParams;
 		/** @private */
 		this._routeMatcher = routeMatcher;
+		/** @private */
+		this._dependencyResolver = dependencyResolver;
+		/** @private Byte limits by body kind, see _readBody(). */
+		this._limits = options.limits || {};
+		/** @private Allowed body media types; null allows any. */
+		this._contentTypes = options.contentTypes || null;
+		/** @private */
+		this._cookieSecrets = options.cookieSecrets || [];
+		/** @private Parsed Cookie header, see cookies. */
+		this._cookies = null;
+		/** @private Pending or settled verification, see signedCookies. */
+		this._signedCookies = null;
+		/** @private */
+		this._querySchema = options.querySchema || null;
+		/** @private */
+		this._queryOptions = options.queryOptions || {};
+		/** @private Parsed query, see query. */
+		this._query = null;
+		/**
+		 * Aborts when the client disconnects or, under RouteDispatcher, when the route timeout passes.
+		 * Pass it to fetch() so upstream calls are cancelled too.
+		 * @type {AbortSignal|null}
+		 */
+		this.signal = originalRequest.signal || null;
+		/**
+		 * Session of the request, set by the SessionManager middleware.
+		 * @type {import('./cloudflare-workers-compatible-session').Session|null}
+		 */
+		this.session = null;
+	}
+
+	/**
+	 * Cookies sent with the request, parsed on first access.
+	 * Signed cookies appear here with their raw "s:" value; read them from signedCookies.
+	 * @type {Object<string, string>}
+	 */
+	get cookies() {
+		if (this._cookies === null) this._cookies = parseCookies(this._request.headers.get('cookie'));
+		return this._cookies;
+	}
+
+	/**
+	 * Signed cookies verified against the cookie secrets, by name: the original value, or false
+	 * when the signature does not match any secret. Unsigned cookies are left out.
+	 * Resolves asynchronously because verification uses Web Crypto.
+	 * @example
+	 * const { session } = await req.signedCookies;
+	 * if (session === false) return res.clearCookie('session').error(401, 'Tampered session');
+	 * @type {Promise<Object<string, string|false>>}
+	 */
+	get signedCookies() {
+		if (this._signedCookies) return this._signedCookies;
+		const signed = Object.entries(this.cookies).filter(([, value]) => value.startsWith('s:'));
+		if (signed.length > 0 && this._cookieSecrets.length === 0) {
+			return Promise.reject(
+				createError({
+					message: 'Signed cookies were sent but no cookie secret is configured.',
+					code: 'COOKIE_SECRET_MISSING',
+					status: 500,
+					exit_code: 124,
+					hint: 'Set the COOKIE_SECRET binding or pass { cookieSecret } to RouteDispatcher.',
+				})
+			);
+		}
+		this._signedCookies = Promise.all(signed.map(async ([name, value]) => [name, await unsignCookieValue(value, this._cookieSecrets)])).then(
+			Object.fromEntries
+		);
+		return this._signedCookies;
 	}
 
 	/**
@@ -119,6 +197,22 @@ class RequestParser {
 		}
 		return this._routeMatcher.params;
 	}
+	/**
+	 * Returns the params captured by the route's host constraint,
+	 * e.g. { tenant: 'acme' } for ":tenant.api.example.com" and Host "acme.api.example.com".
+	 * @returns {Object.<string,string>}
+	 */
+	get hostParams() {
+		if (!this._routeMatcher) {
+			throw createError({
+				message: 'Route matcher is not defined.',
+				code: 'ROUTE_MATCHER_NOT_DEFINED',
+				exit_code: 109,
+				hint: 'Ensure you provide a route matcher when creating RequestParser.',
+			});
+		}
+		return this._routeMatcher.hostParams || {};
+	}
 	/**
 	 * Returns the wildcard segments extracted from the URL.
 	 * @returns {Array<string>}
@@ -134,6 +228,62 @@ class RequestParser {
 		}
 		return this._routeMatcher.wildcards;
 	}
+	/**
+	 * Resolves a dependency registered with RouteDispatcher.provide().
+	 * @param {string} key - Dependency name.
+	 * @returns {Promise<*>}
+	 * @throws {Error} If no dependency resolver is attached.
+	 */
+	async resolve(key) {
+		if (typeof this._dependencyResolver !== 'function') {
+			throw createError({
+				message: 'Dependency resolver is not defined.',
+				status: 500,
+				code: 'DEPENDENCY_RESOLVER_NOT_DEFINED',
+				exit_code: 113,
+				hint: 'req.resolve() is available on requests dispatched by RouteDispatcher.',
+			});
+		}
+		return this._dependencyResolver(key);
+	}
+	/**
+	 * Picks the best of the given media types for the Accept header, honouring q-values.
+	 * Types may be full media types ("text/csv") or extensions known to ResponseBuilder ("json").
+	 * @example
+	 * req.accepts('json', 'text/html'); // 'json', 'text/html' or false
+	 * @param {...(string|string[])} types - Offered types; with none, returns the accepted types best first.
+	 * @returns {string|false|string[]} The best type as given, or false if none is acceptable.
+	 */
+	accepts(...types) {
+		const offers = types.flat();
+		if (offers.length === 0) return negotiateMediaTypes(this._headers['accept']);
+		const mediaTypes = offers.map((type) => (type.includes('/') ? type : CONTENT_TYPES[type.replace(/^\./, '').toLowerCase()] || type));
+		const [best] = negotiateMediaTypes(this._headers['accept'], mediaTypes);
+		return best === undefined ? false : offers[mediaTypes.indexOf(best)];
+	}
+	/**
+	 * Picks the best of the given language tags for the Accept-Language header.
+	 * @param {...(string|string[])} languages - Offered tags; with none, returns the accepted ranges best first.
+	 * @returns {string|false|string[]}
+	 */
+	acceptsLanguages(...languages) {
+		const offers = languages.flat();
+		if (offers.length === 0) return negotiateLanguages(this._headers['accept-language']);
+		const [best] = negotiateLanguages(this._headers['accept-language'], offers);
+		return best === undefined ? false : best;
+	}
+	/**
+	 * Picks the best of the given content codings for the Accept-Encoding header.
+	 * "identity" is acceptable unless explicitly refused.
+	 * @param {...(string|string[])} encodings - Offered encodings; with none, returns the accepted codings best first.
+	 * @returns {string|false|string[]}
+	 */
+	acceptsEncodings(...encodings) {
+		const offers = encodings.flat();
+		if (offers.length === 0) return negotiateEncodings(this._headers['accept-encoding']);
+		const [best] = negotiateEncodings(this._headers['accept-encoding'], offers);
+		return best === undefined ? false : best;
+	}
 	/**
 	 * Returns the headers of the request.
 	 * @returns {Headers}
@@ -201,24 +351,41 @@ class RequestParser {
 		const hash = this.urlObject.hash.slice(1) || null;
 		return hash;
 	}
+	/**
+	 * The raw query string, without "?".
+	 * @type {string}
+	 */
 	get queryString() {
-		return this.query();
+		return this.urlObject.search.slice(1);
 	}
 	/**
-	 * Parses query string parameters into an object.
-	 * @returns {Object.<string,string>}
+	 * The query parameters as URLSearchParams, for ordered or repeated access.
+	 * @type {URLSearchParams}
+	 */
+	get searchParams() {
+		return this.urlObject.searchParams;
+	}
+	/**
+	 * Query parameters parsed on first access: repeated keys become arrays, brackets and dots
+	 * build nested objects, and values are converted to the types of the route's query schema.
+	 * @example
+	 * // GET /issues?filter[status]=open&tag=a&tag=b&page=2 with validate.query { page: schema.number() }
+	 * req.query; // { filter: { status: 'open' }, tag: ['a', 'b'], page: 2 }
+	 * @type {Object}
+	 * @throws {Error} QUERY_PARSE_FAILED if the query string cannot be parsed.
 	 */
-	query() {
+	get query() {
+		if (this._query !== null) return this._query;
 		try {
-			return Object.fromEntries(this.url.searchParams.entries());
+			this._query = coerceQuery(parseQuery(this.urlObject.searchParams, this._queryOptions), this._querySchema);
 		} catch (err) {
 			throw createError({
-				message: 'Failed to parse query string from URL.',
+				message: `Failed to parse query string: ${err.message}`,
 				code: 'QUERY_PARSE_FAILED',
 				exit_code: 102,
-				hint: 'Make sure request.url is a valid URL.',
 			});
 		}
+		return this._query;
 	}
 
 	/**
@@ -228,11 +395,13 @@ class RequestParser {
 	async arrayBuffer() {
 		if (this._bodyUsed) return this._parsedBody;
 		try {
-			const buf = await this._request.arrayBuffer();
+			const bytes = await this._readBody('raw');
+			const buf = bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
 			this._parsedBody = buf;
 			this._bodyUsed = true;
 			return buf;
 		} catch (err) {
+			if (BODY_REJECTION_CODES.includes(err.code)) throw err;
 			throw createError({
 				message: 'Failed to parse body as ArrayBuffer.',
 				code: 'BODY_ARRAYBUFFER_FAILED',
@@ -254,11 +423,12 @@ class RequestParser {
 			}
 		}
 		try {
-			const txt = await this._request.text();
+			const txt = new TextDecoder().decode(await this._readBody('text'));
 			this._parsedBody = txt;
 			this._bodyUsed = true;
 			return txt;
 		} catch (err) {
+			if (BODY_REJECTION_CODES.includes(err.code)) throw err;
 			throw createError({
 				message: 'Failed to read body as text.',
 				code: 'BODY_TEXT_FAILED',
@@ -289,11 +459,12 @@ class RequestParser {
 			}
 		}
 		try {
-			const obj = await this._request.json();
+			const obj = JSON.parse(new TextDecoder().decode(await this._readBody('json')));
 			this._parsedBody = obj;
 			this._bodyUsed = true;
 			return obj;
 		} catch (err) {
+			if (BODY_REJECTION_CODES.includes(err.code)) throw err;
 			throw createError({
 				message: 'Failed to parse body as JSON.',
 				code: 'BODY_JSON_PARSE_FAILED',
@@ -311,7 +482,8 @@ class RequestParser {
 	async formData() {
 		if (this._bodyUsed) return this._parsedBody;
 		try {
-			const form = await this._request.formData();
+			const bytes = await this._readBody('form');
+			const form = await new Response(bytes, { headers: { 'content-type': this._request.headers.get('content-type') || '' } }).formData();
 			const obj = {};
 			for (const key of form.keys()) {
 				const all = form.getAll(key);
@@ -321,6 +493,7 @@ class RequestParser {
 			this._bodyUsed = true;
 			return obj;
 		} catch (err) {
+			if (BODY_REJECTION_CODES.includes(err.code)) throw err;
 			throw createError({
 				message: 'Failed to parse body as FormData.',
 				code: 'BODY_FORMDATA_PARSE_FAILED',
@@ -355,6 +528,7 @@ class RequestParser {
 			// fallback to raw bytes
 			return await this.arrayBuffer();
 		} catch (err) {
+			if (BODY_REJECTION_CODES.includes(err.code)) throw err;
 			throw createError({
 				message: 'Auto body parser failed based on content-type.',
 				code: 'BODY_AUTO_PARSE_FAILED',
@@ -364,6 +538,81 @@ class RequestParser {
 			});
 		}
 	}
+	/**
+	 * Rejects a body whose media type is not in the allowed content types.
+	 * Requests without a body always pass.
+	 * @throws {Error} 415 BODY_UNSUPPORTED_MEDIA_TYPE.
+	 */
+	checkContentType() {
+		if (!this._contentTypes || !this._hasBody()) return;
+		const header = this._request.headers.get('content-type');
+		const essence = header ? header.split(';')[0].trim().toLowerCase() : '';
+		if (essence && this._contentTypes.some((type) => mediaTypeEquals(type, essence))) return;
+		throw createError({
+			message: `Unsupported Content-Type: ${essence || '(none)'}.`,
+			code: 'BODY_UNSUPPORTED_MEDIA_TYPE',
+			status: 415,
+			exit_code: 123,
+			hint: `Send one of: ${this._contentTypes.join(', ')}.`,
+		});
+	}
+
+	/**
+	 * Whether the request carries a body.
+	 * @private
+	 * @returns {boolean}
+	 */
+	_hasBody() {
+		return this._request.body !== null && this._request.headers.get('content-length') !== '0';
+	}
+
+	/**
+	 * Reads the body bytes for a reader, enforcing the allowed content types and the byte limit
+	 * of its kind. The limit is checked against Content-Length first and then while streaming,
+	 * so a body without a declared length is cancelled as soon as it passes the limit.
+	 * @private
+	 * @param {'json'|'text'|'form'|'raw'} kind - Entry of the limits to apply.
+	 * @returns {Promise<Uint8Array>}
+	 * @throws {Error} 413 BODY_TOO_LARGE or 415 BODY_UNSUPPORTED_MEDIA_TYPE.
+	 */
+	async _readBody(kind) {
+		this.checkContentType();
+		const limit = this._limits[kind];
+		if (typeof limit !== 'number') return new Uint8Array(await this._request.arrayBuffer());
+
+		const tooLarge = () =>
+			createError({
+				message: `Request body exceeds the ${kind} limit of ${limit} bytes.`,
+				code: 'BODY_TOO_LARGE',
+				status: 413,
+				exit_code: 122,
+				hint: 'Send a smaller body or raise the route limits.',
+			});
+		if (Number(this._request.headers.get('content-length')) > limit) throw tooLarge();
+		if (!this._request.body) return new Uint8Array(0);
+
+		const reader = this._request.body.getReader();
+		const chunks = [];
+		let size = 0;
+		for (;;) {
+			const { done, value } = await reader.read();
+			if (done) break;
+			size += value.byteLength;
+			if (size > limit) {
+				await reader.cancel().catch(() => {});
+				throw tooLarge();
+			}
+			chunks.push(value);
+		}
+		const bytes = new Uint8Array(size);
+		let offset = 0;
+		for (const chunk of chunks) {
+			bytes.set(chunk, offset);
+			offset += chunk.byteLength;
+		}
+		return bytes;
+	}
+
 	/**
 	 * Returns the raw ReadableStream of the body.
 	 * Note: This stream can only be consumed once.
@@ -410,6 +659,67 @@ class RequestParser {
 		this._parsedBody = null;
 		return streams;
 	}
+
+	/**
+	 * Streams a multipart/form-data body part by part. Each part body must be read (or is
+	 * skipped) before the next part is produced, so files never have to fit in memory.
+	 * @example
+	 * for await (const part of req.multipart({ maxPartSize: 50 * 1024 * 1024 })) {
+	 *   if (part.isFile) await env.UPLOADS.put(part.filename, part.body);
+	 *   else console.log(part.name, await part.text());
+	 * }
+	 * @param {Object} [limits] - maxPartSize, maxTotalSize, maxParts, maxHeaderSize; see parseMultipart().
+	 * maxTotalSize defaults to the form body limit.
+	 * @returns {AsyncGenerator<import('./cloudflare-workers-compatible-multipart').MultipartPart>}
+	 */
+	multipart(limits = {}) {
+		this.checkContentType();
+		if (limits.maxTotalSize === undefined && typeof this._limits.form === 'number') {
+			limits = { ...limits, maxTotalSize: this._limits.form };
+		}
+		const boundary = parseBoundary(this._request.headers.get('content-type'));
+		if (!boundary) {
+			throw createError({
+				message: 'The body is not multipart/form-data with a boundary.',
+				code: 'MULTIPART_BOUNDARY_MISSING',
+				status: 400,
+				exit_code: 114,
+				hint: 'Send Content-Type: multipart/form-data; boundary=...',
+			});
+		}
+		const declared = Number(this._request.headers.get('content-length'));
+		if (limits.maxTotalSize !== undefined && declared > limits.maxTotalSize) {
+			throw createError({
+				message: `Multipart body exceeds ${limits.maxTotalSize} bytes.`,
+				code: 'MULTIPART_TOO_LARGE',
+				status: 413,
+				exit_code: 117,
+			});
+		}
+		return parseMultipart(this.stream() || new Response('').body, boundary, limits);
+	}
+
+	/**
+	 * Reads a multipart/form-data body, keeping text fields in memory and streaming
+	 * file parts into an R2 bucket.
+	 * @example
+	 * const { fields, files } = await req.collectMultipart({ bucket: env.UPLOADS, maxPartSize: 100e6 });
+	 * // files.avatar -> { key: 'uploads/…', filename: 'me.png', contentType: 'image/png', size: 48213 }
+	 * @param {Object} options
+	 * @param {Object} options.bucket - R2 bucket binding.
+	 * @param {(part: Object, index: number) => string} [options.key] - Object key of a file part.
+	 * @param {number} [options.maxFieldSize=65536] - Maximum bytes of a text field.
+	 * @param {number} [options.maxPartSize] - Maximum bytes of any part.
+	 * @param {number} [options.maxTotalSize] - Maximum bytes of the body.
+	 * @param {number} [options.maxParts] - Maximum number of parts.
+	 * @param {number} [options.maxHeaderSize] - Maximum bytes of a part's headers.
+	 * @returns {Promise<{fields: Object<string, string|string[]>, files: Object<string, Object|Object[]>}>}
+	 */
+	async collectMultipart({ bucket, key, maxFieldSize, ...limits } = {}) {
+		const result = await collectMultipart(this.multipart(limits), { bucket, key, maxFieldSize });
+		this._parsedBody = result;
+		return result;
+	}
 }
 
 module.exports = { RequestParser };
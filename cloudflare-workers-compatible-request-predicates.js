@@ -0,0 +1,161 @@
+import { parseCookies } from './cloudflare-workers-compatible-cookies';
+
+/**
+ * findRequest keys with structured matchers. Any other key except hostname and method
+ * is a legacy header constraint: equal when the header is present, ignored when absent.
+ * @type {string[]}
+ */
+const PREDICATE_KEYS = ['headers', 'query', 'cookies', 'contentType', 'cf', 'match'];
+
+/**
+ * findRequest keys that are not request predicates.
+ * @type {string[]}
+ */
+const RESERVED_KEYS = ['hostname', 'method'];
+
+/**
+ * Tests a value against a matcher:
+ * - true / false: present / absent
+ * - string or number: equal
+ * - RegExp: matches
+ * - array: any element matches
+ * - function: returns truthy for the value (null when absent)
+ * @param {*} expected - Matcher.
+ * @param {string|number|null|undefined} actual - Request value, null or undefined when absent.
+ * @param {(expected: string, actual: string) => boolean} [equals] - String comparison.
+ * @returns {boolean}
+ */
+function matchValue(expected, actual, equals = (a, b) => a === b) {
+	const present = actual !== null && actual !== undefined;
+	if (expected === true) return present;
+	if (expected === false) return !present;
+	if (Array.isArray(expected)) return expected.some((item) => matchValue(item, actual, equals));
+	if (typeof expected === 'function') return Boolean(expected(present ? actual : null));
+	if (!present) return false;
+	if (expected instanceof RegExp) {
+		expected.lastIndex = 0;
+		return expected.test(String(actual));
+	}
+	return equals(String(expected), String(actual));
+}
+
+/**
+ * Compares a media type pattern ("application/json", "text/*") with a Content-Type essence.
+ * @param {string} expected
+ * @param {string} actual - Lowercase essence without parameters.
+ * @returns {boolean}
+ */
+function mediaTypeEquals(expected, actual) {
+	const pattern = expected.split(';')[0].trim().toLowerCase();
+	if (pattern.endsWith('/*')) return actual.startsWith(pattern.slice(0, -1));
+	return pattern === actual;
+}
+
+/**
+ * Tests every entry of a name-to-matcher map.
+ * @param {Object<string, *>} matchers
+ * @param {(name: string) => (string|number|null|undefined)} read - Reads a value from the request.
+ * @returns {boolean}
+ */
+function matchAll(matchers, read) {
+	return Object.entries(matchers).every(([name, expected]) => matchValue(expected, read(name)));
+}
+
+/**
+ * Compiles the non-host constraints of a route's findRequest into one predicate.
+ * @example
+ * router.get('/items', listItemsV2, null, {
+ *   headers: { 'x-api-version': /^2(\.|$)/ },
+ *   query: { preview: true },
+ *   cookies: { beta: '1' },
+ *   contentType: ['application/json', 'text/*'],
+ *   cf: { country: ['DE', 'FR'], asn: 13335 },
+ *   match: (request) => request.method === 'GET',
+ * });
+ * @param {Object} [findRequest] - Route request constraints:
+ *   - headers / query / cookies: name to matcher, see matchValue()
+ *   - contentType: matcher for the media type essence; strings may end in "/*"
+ *   - cf: request.cf field (country, asn, colo, ...) to matcher
+ *   - match: function or array of functions receiving the Request; must be synchronous
+ *   - any other key: legacy header equality, ignored when the header is absent
+ * @returns {(request: Request) => boolean}
+ */
+function compileRequestPredicates(findRequest) {
+	if (!findRequest) return () => true;
+	const checks = [];
+
+	for (const [key, value] of Object.entries(findRequest)) {
+		if (RESERVED_KEYS.includes(key) || value === undefined) continue;
+		switch (key) {
+			case 'headers':
+				checks.push((request) => matchAll(value, (name) => request.headers.get(name)));
+				break;
+			case 'query':
+				checks.push((request) => {
+					const searchParams = new URL(request.url).searchParams;
+					return matchAll(value, (name) => searchParams.get(name));
+				});
+				break;
+			case 'cookies':
+				checks.push((request) => {
+					const cookies = parseCookies(request.headers.get('cookie'));
+					return matchAll(value, (name) => (Object.prototype.hasOwnProperty.call(cookies, name) ? cookies[name] : null));
+				});
+				break;
+			case 'contentType':
+				checks.push((request) => {
+					const header = request.headers.get('content-type');
+					const essence = header ? header.split(';')[0].trim().toLowerCase() : null;
+					return matchValue(value, essence, mediaTypeEquals);
+				});
+				break;
+			case 'cf':
+				checks.push((request) => {
+					const cf = request.cf || {};
+					return matchAll(value, (name) => cf[name]);
+				});
+				break;
+			case 'match': {
+				const predicates = Array.isArray(value) ? value : [value];
+				checks.push((request) => predicates.every((predicate) => Boolean(predicate(request))));
+				break;
+			}
+			default:
+				// Legacy exact header equality, only when the header is present
+				checks.push((request) => !request.headers.has(key) || value === request.headers.get(key));
+		}
+	}
+
+	if (checks.length === 0) return () => true;
+	return (request) => checks.every((check) => check(request));
+}
+
+/**
+ * Identities handed out to predicate functions by predicateKey().
+ * @type {WeakMap<Function, number>}
+ */
+const functionIds = new WeakMap();
+
+/** @type {number} */
+let nextFunctionId = 1;
+
+/**
+ * Builds a stable key of a findRequest for duplicate detection. Regular expressions compare
+ * by source and flags, functions by identity.
+ * @param {Object} [findRequest]
+ * @returns {string}
+ */
+function predicateKey(findRequest) {
+	return JSON.stringify(findRequest || {}, (key, value) => {
+		if (value instanceof RegExp) return `/${value.source}/${value.flags}`;
+		if (typeof value === 'function') {
+			if (!functionIds.has(value)) functionIds.set(value, nextFunctionId++);
+			return `function#${functionIds.get(value)}`;
+		}
+		return value;
+	});
+}
+
+module.exports = { PREDICATE_KEYS, RESERVED_KEYS, parseCookies, matchValue, mediaTypeEquals, compileRequestPredicates, predicateKey };
+
+// cloudflare-workers-compatible-request-predicates.js
@@ -1,21 +1,30 @@
+import { negotiateMediaTypes } from './cloudflare-workers-compatible-content-negotiation';
+import { errorFactory, toProblem, PROBLEM_CONTENT_TYPE } from './cloudflare-workers-compatible-errors';
+import { serializeCookie, signCookieValue } from './cloudflare-workers-compatible-cookies';
+
 /**
- * Helper: create standardized errors
- * @param {Object} options
- * @param {string} options.message - Error message
- * @param {number} [options.status=500] - HTTP status code
- * @param {string} [options.code='UNKNOWN_ERROR'] - Error code string
- * @param {number} [options.exit_code=99] - Numeric exit code
- * @param {string} [options.hint] - Optional hint for debugging
- * @returns {Error}
+ * Errors raised while building responses.
+ * @type {(options: {message: string, status?: number, code?: string, exit_code?: number, hint?: string}) => Error}
  */
-function createError({ message, status = 500, code = 'UNKNOWN_ERROR', exit_code = 99, hint = undefined }) {
-	const error = new Error(message);
-	error.status = status;
-	error.code = code;
-	error.exit_code = exit_code;
-	if (hint) error.hint = hint;
-	return error;
-}
+const createError = errorFactory({ status: 500, code: 'UNKNOWN_ERROR', exit_code: 99 });
+
+/**
+ * Content types by file extension, used by contentType(), format() and RequestParser.accepts().
+ * @type {Object<string, string>}
+ */
+const CONTENT_TYPES = {
+	json: 'application/json',
+	txt: 'text/plain; charset=utf-8',
+	html: 'text/html; charset=utf-8',
+	csv: 'text/csv; charset=utf-8',
+	js: 'application/javascript',
+	css: 'text/css',
+	xml: 'application/xml',
+	svg: 'image/svg+xml',
+	png: 'image/png',
+	jpg: 'image/jpeg',
+	webp: 'image/webp',
+};
 
 /**
  * Builder class to construct and send HTTP responses,
@@ -25,12 +34,15 @@ class ResponseBuilder {
 	/**
 	 * @param {*} routeDispatcher - Your routing logic reference
 	 * @param {*} env - Environment configuration object
+	 * @param {Request} [request] - The request being answered, used for content negotiation
 	 */
-	constructor(routeDispatcher, env) {
+	constructor(routeDispatcher, env, request = null) {
 		/** @private */
 		this._routeDispatcher = routeDispatcher;
 		/** @private */
 		this._env = env;
+		/** @private */
+		this._request = request;
 
 		/** @type {number} */
 		this.status = 200;
@@ -72,6 +84,8 @@ class ResponseBuilder {
 		this._corsHeaders = 'Content-Type';
 		/** @private */
 		this._corsCredentials = false;
+		/** @private Set-Cookie values written by setCookie(), by name, domain and path. */
+		this._cookies = new Map();
 		this.rawResponse = null;
 	}
 	get streamReady() {
@@ -149,16 +163,118 @@ class ResponseBuilder {
 		this.headers.append(key, value);
 		return this;
 	}
+	/**
+	 * Adds a Set-Cookie header. Setting a cookie again with the same name, domain and path
+	 * replaces the earlier header instead of sending both.
+	 * @example
+	 * res.setCookie('theme', 'dark', { path: '/', maxAge: 60 * 60 * 24 * 365, sameSite: 'lax' });
+	 * @param {string} name
+	 * @param {string} value
+	 * @param {Object} [options] - domain, path, maxAge (seconds), expires, httpOnly, secure, sameSite,
+	 * partitioned, priority; see serializeCookie().
+	 * @returns {this}
+	 */
+	setCookie(name, value, options = {}) {
+		const header = serializeCookie(name, value, options);
+		const id = `${name};${options.domain || ''};${options.path || ''}`;
+		const previous = this._cookies.get(id);
+		if (previous !== undefined) {
+			const kept = this.headers.getSetCookie().filter((cookie) => cookie !== previous);
+			this.headers.delete('Set-Cookie');
+			for (const cookie of kept) this.headers.append('Set-Cookie', cookie);
+		}
+		this._cookies.set(id, header);
+		this.headers.append('Set-Cookie', header);
+		return this;
+	}
+
+	/**
+	 * Signs a value with the dispatcher's current cookie secret and sets it as a cookie.
+	 * Read it back from req.signedCookies.
+	 * @example
+	 * await res.setSignedCookie('session', sessionId, { httpOnly: true, secure: true, sameSite: 'lax', path: '/' });
+	 * @param {string} name
+	 * @param {string} value
+	 * @param {Object} [options] - Same as setCookie().
+	 * @returns {Promise<this>}
+	 */
+	async setSignedCookie(name, value, options = {}) {
+		const secrets = this._routeDispatcher && typeof this._routeDispatcher.cookieSecrets === 'function' ? this._routeDispatcher.cookieSecrets(this._env) : [];
+		if (secrets.length === 0) {
+			throw createError({
+				message: 'setSignedCookie() needs a cookie secret.',
+				code: 'COOKIE_SECRET_MISSING',
+				exit_code: 26,
+				hint: 'Set the COOKIE_SECRET binding or pass { cookieSecret } to RouteDispatcher.',
+			});
+		}
+		return this.setCookie(name, await signCookieValue(String(value), secrets[0]), options);
+	}
+
+	/**
+	 * Expires a cookie. Pass the same domain and path it was set with.
+	 * @param {string} name
+	 * @param {Object} [options] - domain, path and the other setCookie() attributes.
+	 * @returns {this}
+	 */
+	clearCookie(name, options = {}) {
+		return this.setCookie(name, '', { ...options, maxAge: 0, expires: new Date(0) });
+	}
+
 	download(name = 'file.txt') {
 		this.setHeader('Content-Disposition', `attachment; filename="${name}"`);
 		return this;
 	}
+	/**
+	 * Prepares an error response without ending: problem+json when the dispatcher has
+	 * problemDetails enabled, otherwise { error: { code, message, hint } }.
+	 * @param {Error} err
+	 * @returns {this}
+	 */
 	fromError(err) {
+		if (this.problemDetails) return this.problem(err);
 		const status = err.status || 500;
 		const code = err.code || 'INTERNAL_ERROR';
 		return this.setStatus(status).json({ error: { code, message: err.message, hint: err.hint } });
 	}
 
+	/**
+	 * Whether the dispatcher renders errors as RFC 9457 problem details.
+	 * Middleware uses it to pick the error format of its own rejections.
+	 * @type {boolean}
+	 */
+	get problemDetails() {
+		return Boolean(this._routeDispatcher && this._routeDispatcher.problemDetails);
+	}
+
+	/**
+	 * Prepares an RFC 9457 application/problem+json response without ending.
+	 * Type and title come from the error catalogue of the error code.
+	 * @example
+	 * return res.sendProblem({ code: 'RATE_LIMITED', message: 'Slow down', extensions: { retryAfter: 30 } });
+	 * @param {Error|{message?: string, status?: number, code?: string, hint?: string, issues?: Array, extensions?: Object}} err
+	 * @returns {this}
+	 */
+	problem(err) {
+		const options = {};
+		if (this._routeDispatcher && this._routeDispatcher.problemTypeBase) options.typeBase = this._routeDispatcher.problemTypeBase;
+		if (this._request) options.instance = new URL(this._request.url).pathname;
+		const problem = toProblem(err, options);
+		this.setStatus(problem.status);
+		this.headers.set('Content-Type', PROBLEM_CONTENT_TYPE);
+		this.data = problem;
+		return this;
+	}
+
+	/**
+	 * Immediately sends an RFC 9457 problem details response.
+	 * @param {Error|Object} err - See problem().
+	 * @returns {Response}
+	 */
+	sendProblem(err) {
+		return this.problem(err).end();
+	}
+
 	/**
 	 * Prepares text response without ending
 	 * @param {string} data
@@ -216,11 +332,23 @@ class ResponseBuilder {
 
 	/**
 	 * Redirects the client to another location
-	 * @param {string} location
+	 * @param {string|{name: string, params?: Object, query?: Object}} location - URL, or a named route resolved through the dispatcher's urlFor()
 	 * @param {number} [code=302]
 	 * @returns {this}
 	 */
 	redirect(location, code = 302) {
+		if (location && typeof location === 'object' && typeof location.name === 'string') {
+			if (!this._routeDispatcher || typeof this._routeDispatcher.urlFor !== 'function') {
+				throw createError({
+					message: 'redirect() to a named route requires a route dispatcher.',
+					status: 500,
+					code: 'INVALID_REDIRECT_ARGUMENT',
+					exit_code: 22,
+					hint: 'Use the ResponseBuilder provided by RouteDispatcher.respond().',
+				});
+			}
+			location = this._routeDispatcher.urlFor(location.name, location.params, location.query);
+		}
 		if (typeof location !== 'string') {
 			throw createError({
 				message: 'redirect() expects location as string.',
@@ -238,12 +366,13 @@ class ResponseBuilder {
 	}
 
 	/**
-	 * Sends an error response
+	 * Sends an error response, as problem+json when the dispatcher has problemDetails enabled
 	 * @param {number} [status=500]
 	 * @param {string} [message='Internal Server Error']
 	 * @returns {Response}
 	 */
 	error(status = 500, message = 'Internal Server Error') {
+		if (this.problemDetails) return this.sendProblem({ message, status });
 		this.setStatus(status);
 		return this.sendText(message);
 	}
@@ -458,7 +587,9 @@ class ResponseBuilder {
 			}
 		}
 		if (!(this.rawResponse instanceof Response)) {
-			this.rawResponse = new Response(output || '', {
+			// 101, 204, 205 and 304 responses must not carry a body
+			const nullBodyStatus = [101, 204, 205, 304].includes(this.status);
+			this.rawResponse = new Response(nullBodyStatus ? null : output || '', {
 				status: this.status,
 				headers: this.headers,
 			});
@@ -541,25 +672,71 @@ class ResponseBuilder {
 	 * @returns {this}
 	 */
 	contentType(ext) {
-		const map = {
-			json: 'application/json',
-			txt: 'text/plain; charset=utf-8',
-			html: 'text/html; charset=utf-8',
-			js: 'application/javascript',
-			css: 'text/css',
-			xml: 'application/xml',
-			svg: 'image/svg+xml',
-			png: 'image/png',
-			jpg: 'image/jpeg',
-			webp: 'image/webp',
-		};
 		const cleanExt = ext.replace(/^\./, '').toLowerCase();
-		if (map[cleanExt]) {
-			this.setHeader('Content-Type', map[cleanExt]);
+		if (CONTENT_TYPES[cleanExt]) {
+			this.setHeader('Content-Type', CONTENT_TYPES[cleanExt]);
 		}
 		return this;
 	}
 
+	/**
+	 * Adds a field to the Vary header, keeping existing fields.
+	 * @param {string} field - e.g. 'Accept'.
+	 * @returns {this}
+	 */
+	vary(field) {
+		const fields = (this.headers.get('Vary') || '')
+			.split(',')
+			.map((value) => value.trim())
+			.filter(Boolean);
+		if (!fields.some((value) => value === '*' || value.toLowerCase() === field.toLowerCase())) fields.push(field);
+		this.headers.set('Vary', fields.join(', '));
+		return this;
+	}
+
+	/**
+	 * Responds with the representation that best matches the request's Accept header.
+	 * Keys are media types or extensions from the contentType() map; the chosen Content-Type is set
+	 * before the callback runs. A callback may return a body (passed to end()), a Response, or this builder.
+	 * Without a match, a "default" callback is used if given, else a 406 listing the available types.
+	 * @example
+	 * return res.format({
+	 *   'application/json': () => rows,
+	 *   'text/csv': () => toCSV(rows),
+	 * });
+	 * @param {Object<string, (res: ResponseBuilder, type: string) => *>} handlers
+	 * @returns {Promise<Response|this>}
+	 */
+	async format(handlers) {
+		const keys = Object.keys(handlers).filter((key) => key !== 'default');
+		const mediaTypes = keys.map((key) => (key.includes('/') ? key : CONTENT_TYPES[key.replace(/^\./, '').toLowerCase()] || key));
+		this.vary('Accept');
+
+		const accept = this._request ? this._request.headers.get('accept') : null;
+		const [best] = negotiateMediaTypes(accept, mediaTypes);
+
+		let handler = handlers.default;
+		let type = null;
+		if (best !== undefined) {
+			type = best;
+			handler = handlers[keys[mediaTypes.indexOf(best)]];
+			this.headers.set('Content-Type', type);
+		}
+
+		if (typeof handler !== 'function') {
+			if (this.problemDetails) {
+				return this.sendProblem({ message: 'Not Acceptable', status: 406, code: 'ERROR_NOT_ACCEPTABLE', extensions: { supported: mediaTypes } });
+			}
+			this.setStatus(406);
+			return this.sendJSON({ error: 'Not Acceptable', supported: mediaTypes });
+		}
+
+		const result = await handler(this, type);
+		if (result instanceof Response || result === this) return result;
+		if (result === undefined) return this._ended ? this.end() : this;
+		return this.end(result);
+	}
+
 	/**
 	 * Static helper: Converts a ReadableStream of objects into
 	 * a ReadableStream of JSON string lines (each JSON + newline)
@@ -590,4 +767,4 @@ class ResponseBuilder {
 	}
 }
 
-module.exports = { ResponseBuilder };
+module.exports = { ResponseBuilder, CONTENT_TYPES };
@@ -0,0 +1,211 @@
+import { compilePattern, expandOptionalTokens, HOST_PARAM_PATTERN } from './cloudflare-workers-compatible-route-trie';
+import { RESERVED_KEYS } from './cloudflare-workers-compatible-request-predicates';
+
+/**
+ * Segment used for unconstrained params and wildcards when probing routes;
+ * chosen so that it does not collide with real literals.
+ * @type {string}
+ */
+const SAMPLE_SEGMENT = 'x7q_probe';
+
+/**
+ * Sample values satisfying each built-in param type.
+ * @type {Object<string, string>}
+ */
+const SAMPLE_VALUES = {
+	int: '907163',
+	number: '907163.5',
+	float: '907163.5',
+	bool: 'true',
+	boolean: 'true',
+	uuid: '3f0c9a52-8d2e-4b7e-9a61-5c2d7e4f1b08',
+	alpha: 'xqprobe',
+	alnum: 'x7qprobe',
+};
+
+/**
+ * Upper bound on probe paths generated for one route.
+ * @type {number}
+ */
+const MAX_PROBES = 32;
+
+/**
+ * Describes a route for analysis reports.
+ * @param {Object} route - Route record.
+ * @returns {{method: string, path: string, host: string|null}}
+ */
+function describeRoute(route) {
+	return { method: route.method, path: route.path, host: (route.findRequest && route.findRequest.hostname) || null };
+}
+
+/**
+ * Returns the segments of a pattern that look like wildcards but cannot be compiled,
+ * plus counted wildcards whose minimum exceeds their maximum.
+ * @param {string} path - Route pattern.
+ * @returns {string[]} Offending segments.
+ */
+function findInvalidWildcards(path) {
+	return compilePattern(path)
+		.filter((token) => (token.type === 'invalid' && token.raw.startsWith('*')) || (token.type === 'wildcard' && token.min > token.max))
+		.map((token) => token.raw);
+}
+
+/**
+ * Builds a name-insensitive signature of a pattern: "/u/:id" and "/u/:name" share one.
+ * @param {string} path - Route pattern.
+ * @returns {string}
+ */
+function routeSignature(path) {
+	return compilePattern(path)
+		.map((token) => {
+			if (token.type === 'literal' || token.type === 'invalid') return token.raw;
+			if (token.type === 'catchAll') return '*';
+			if (token.type === 'wildcard') return `*${token.min}-${token.max}`;
+			const constraint = token.constraint ? `<${token.constraint.spec}>` : '';
+			const forbidden = [...token.forbidden].sort().map((value) => `!${value}`).join('');
+			return `:${constraint}${forbidden}${token.optional ? '?' : ''}`;
+		})
+		.join('/');
+}
+
+/**
+ * Builds concrete pathnames a route matches, covering each optional and wildcard variant.
+ * @param {string} path - Route pattern.
+ * @returns {string[]|null} Pathnames, or null when a segment cannot be sampled (e.g. regex constraints).
+ */
+function probePaths(path) {
+	const tokens = compilePattern(path);
+	if (tokens.some((token) => token.type === 'invalid')) return null;
+
+	const pathnames = [];
+	for (const variant of expandOptionalTokens(tokens)) {
+		let probes = [[]];
+		for (const token of variant) {
+			let options;
+			if (token.type === 'literal') options = [[token.value]];
+			else if (token.type === 'param') {
+				const value = token.constraint ? SAMPLE_VALUES[token.constraint.spec] : SAMPLE_SEGMENT;
+				if (value === undefined || token.forbidden.includes(value)) return null;
+				options = [[value]];
+			} else if (token.type === 'wildcard') {
+				options = [];
+				for (let count = token.min; count <= Math.min(token.max, token.min + 3); count++) {
+					options.push(new Array(count).fill(SAMPLE_SEGMENT));
+				}
+			} else {
+				options = [[], [SAMPLE_SEGMENT, SAMPLE_SEGMENT]];
+			}
+			probes = probes.flatMap((probe) => options.map((option) => [...probe, ...option])).slice(0, MAX_PROBES);
+		}
+		pathnames.push(...probes.map((segments) => '/' + segments.join('/')));
+	}
+	return pathnames.length > 0 ? pathnames.slice(0, MAX_PROBES) : null;
+}
+
+/**
+ * Picks a request hostname satisfying a route host constraint.
+ * @param {string|null} hostname - Host constraint.
+ * @returns {string}
+ */
+function probeHost(hostname) {
+	if (!hostname || hostname === '*') return `${SAMPLE_SEGMENT}.invalid`;
+	const host = hostname
+		.split('.')
+		.map((label) => label.replace(HOST_PARAM_PATTERN, SAMPLE_SEGMENT))
+		.join('.');
+	if (host.startsWith('*')) return SAMPLE_SEGMENT + host.slice(1);
+	return host;
+}
+
+/**
+ * Whether two host labels can be equal; labels holding params match anything.
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function labelsOverlap(a, b) {
+	return a === b || new RegExp(HOST_PARAM_PATTERN.source).test(a) || new RegExp(HOST_PARAM_PATTERN.source).test(b);
+}
+
+/**
+ * Whether two host constraints can match the same hostname. Unconstrained hosts are not
+ * considered overlapping: a specific host followed by a fallback route is intentional.
+ * Labels holding params (":tenant", "{region}") are treated as matching any label.
+ * @param {string|null} a
+ * @param {string|null} b
+ * @returns {boolean}
+ */
+function hostsOverlap(a, b) {
+	if (!a || !b || a === '*' || b === '*' || a === b) return false;
+	const aWild = a.startsWith('*');
+	const bWild = b.startsWith('*');
+	const aLabels = (aWild ? a.slice(1) : a).split('.').reverse();
+	const bLabels = (bWild ? b.slice(1) : b).split('.').reverse();
+	// Compare from the top-level domain down; a wildcard side only constrains its own suffix
+	const shared = Math.min(aLabels.length, bLabels.length);
+	for (let index = 0; index < shared; index++) {
+		const last = index === shared - 1;
+		// The leading label of a "*.x" / "*x" suffix may be partial ("" or "x"); compare it as a suffix
+		if (last && aWild && aLabels.length === shared && bLabels[index].endsWith(aLabels[index])) continue;
+		if (last && bWild && bLabels.length === shared && aLabels[index].endsWith(bLabels[index])) continue;
+		if (!labelsOverlap(aLabels[index], bLabels[index])) return false;
+	}
+	if (aLabels.length === bLabels.length) return true;
+	return aLabels.length < bLabels.length ? aWild : bWild;
+}
+
+/**
+ * Picks a sample value satisfying a matcher, or undefined when none can be derived
+ * (regular expressions, functions) and null when the value must be absent.
+ * @param {*} expected
+ * @returns {string|null|undefined}
+ */
+function probeValue(expected) {
+	if (expected === true) return SAMPLE_SEGMENT;
+	if (expected === false) return null;
+	if (Array.isArray(expected)) return expected.length > 0 ? probeValue(expected[0]) : undefined;
+	if (typeof expected === 'string' || typeof expected === 'number') return String(expected);
+	return undefined;
+}
+
+/**
+ * Builds the parts of a probe request satisfying a route's findRequest.
+ * @param {Object} [findRequest]
+ * @returns {{headers: Object<string, string>, query: Object<string, string>, cf: Object<string, string>}|null}
+ * Null when a constraint cannot be sampled (regular expressions, functions).
+ */
+function probeRequestParts(findRequest) {
+	const parts = { headers: {}, query: {}, cf: {} };
+	const cookies = [];
+	const assign = (target, matchers) => {
+		for (const [name, expected] of Object.entries(matchers)) {
+			const value = probeValue(expected);
+			if (value === undefined) return false;
+			if (value !== null) target(name, value);
+		}
+		return true;
+	};
+
+	for (const [key, value] of Object.entries(findRequest || {})) {
+		if (RESERVED_KEYS.includes(key) || value === undefined) continue;
+		let ok = true;
+		if (key === 'headers') ok = assign((name, sample) => (parts.headers[name] = sample), value);
+		else if (key === 'query') ok = assign((name, sample) => (parts.query[name] = sample), value);
+		else if (key === 'cookies') ok = assign((name, sample) => cookies.push(`${name}=${encodeURIComponent(sample)}`), value);
+		else if (key === 'cf') ok = assign((name, sample) => (parts.cf[name] = sample), value);
+		else if (key === 'contentType') {
+			const sample = probeValue(value);
+			ok = sample !== undefined && !(typeof sample === 'string' && sample.endsWith('/*'));
+			if (ok && sample !== null) parts.headers['content-type'] = sample === SAMPLE_SEGMENT ? 'application/octet-stream' : sample;
+		} else if (key === 'match') ok = false;
+		else if (typeof value === 'string') parts.headers[key] = value;
+		if (!ok) return null;
+	}
+
+	if (cookies.length > 0) parts.headers.cookie = cookies.join('; ');
+	return parts;
+}
+
+module.exports = { describeRoute, findInvalidWildcards, routeSignature, probePaths, probeHost, probeRequestParts, hostsOverlap };
+
+// cloudflare-workers-compatible-route-analyzer.js
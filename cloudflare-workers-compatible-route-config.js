@@ -0,0 +1,246 @@
+import { errorFactory } from './cloudflare-workers-compatible-errors';
+
+/**
+ * Errors raised while reading route tables; ERROR_INVALID_ROUTE_CONFIG unless stated.
+ * @type {(options: {message: string, status?: number, code?: string, exit_code?: number, hint?: string}) => Error}
+ */
+const createError = errorFactory({ status: 500, code: 'ERROR_INVALID_ROUTE_CONFIG', exit_code: 25 });
+
+/**
+ * Methods a route table entry may declare.
+ * @type {string[]}
+ */
+const CONFIG_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'options', 'head'];
+
+/**
+ * Route entry keys that are not copied into route options.
+ * @type {string[]}
+ */
+const ENTRY_KEYS = ['method', 'path', 'host', 'headers', 'match', 'middlewares', 'handler', 'validate', 'options'];
+
+/**
+ * findRequest predicates a route table entry may declare under "match"; see compileRequestPredicates().
+ * Functions and regular expressions cannot be written in JSON, so only strings, numbers, booleans and arrays apply.
+ * @type {string[]}
+ */
+const MATCH_KEYS = ['headers', 'query', 'cookies', 'contentType', 'cf'];
+
+/**
+ * Looks up a name in a registry section, ignoring inherited properties.
+ * @param {Object} section - e.g. registry.handlers.
+ * @param {string} name
+ * @returns {*} The registered value or undefined.
+ */
+function lookup(section, name) {
+	if (!section || typeof name !== 'string') return undefined;
+	return Object.prototype.hasOwnProperty.call(section, name) ? section[name] : undefined;
+}
+
+/**
+ * Accepts a route table as a JSON string or an object.
+ * @param {string|Object} config
+ * @returns {Object}
+ * @throws Throws if the JSON is malformed or the table has no routes array.
+ */
+function parseRouteConfig(config) {
+	let parsed = config;
+	if (typeof config === 'string') {
+		try {
+			parsed = JSON.parse(config);
+		} catch (err) {
+			throw createError({
+				message: `Route config is not valid JSON: ${err.message}`,
+				hint: 'Pass a JSON string or an object with a routes array.',
+			});
+		}
+	}
+	if (!parsed || typeof parsed !== 'object' || !Array.isArray(parsed.routes)) {
+		throw createError({
+			message: 'Route config must be an object with a routes array.',
+			hint: 'Expected { "middlewares": [...], "routes": [{ "method": "get", "path": "/", "handler": "home" }] }.',
+		});
+	}
+	return parsed;
+}
+
+/**
+ * Resolves handler, middleware and schema names of a route table against a registry,
+ * collecting every problem instead of stopping at the first one.
+ * @param {string|Object} config - Route table, see RouteDispatcher.fromConfig().
+ * @param {Object} [registry]
+ * @param {Object<string, Function>} [registry.handlers]
+ * @param {Object<string, Function|Object>} [registry.middlewares]
+ * @param {Object<string, *>} [registry.schemas]
+ * @returns {{middlewares: Array<{name: string, middleware: *}>, routes: Array<Object>, options: Object, issues: string[]}}
+ */
+function resolveRouteConfig(config, { handlers = {}, middlewares = {}, schemas = {} } = {}) {
+	const table = parseRouteConfig(config);
+	const issues = [];
+	const seen = new Map();
+
+	const resolveMiddlewares = (names, where) =>
+		(Array.isArray(names) ? names : []).flatMap((name) => {
+			const middleware = lookup(middlewares, name);
+			if (middleware === undefined) {
+				issues.push(`${where}: unknown middleware "${name}"`);
+				return [];
+			}
+			return [{ name, middleware }];
+		});
+
+	const globalMiddlewares = resolveMiddlewares(table.middlewares, 'middlewares');
+	const routes = [];
+
+	table.routes.forEach((entry, index) => {
+		const where = `routes[${index}]`;
+		if (!entry || typeof entry !== 'object') {
+			issues.push(`${where}: expected an object`);
+			return;
+		}
+
+		const methods = (Array.isArray(entry.method) ? entry.method : [entry.method || 'get']).map((method) => String(method).toLowerCase());
+		for (const method of methods) {
+			if (!CONFIG_METHODS.includes(method)) issues.push(`${where}: unsupported method "${method}"`);
+		}
+
+		if (typeof entry.path !== 'string' || (!entry.path.startsWith('/') && entry.path !== '*')) {
+			issues.push(`${where}: path must be a string starting with "/"`);
+		}
+
+		const handler = lookup(handlers, entry.handler);
+		if (typeof handler !== 'function') {
+			issues.push(`${where}: unknown handler "${entry.handler}"`);
+		}
+
+		const validate = {};
+		const schemaNames = {};
+		for (const [part, schema] of Object.entries(entry.validate || {})) {
+			if (typeof schema !== 'string') {
+				validate[part] = schema;
+				continue;
+			}
+			const resolved = lookup(schemas, schema);
+			if (resolved === undefined) issues.push(`${where}: unknown ${part} schema "${schema}"`);
+			validate[part] = resolved;
+			schemaNames[part] = schema;
+		}
+
+		const findRequest = { ...(entry.headers || {}) };
+		if (entry.host) findRequest.hostname = entry.host;
+		for (const [key, value] of Object.entries(entry.match || {})) {
+			if (MATCH_KEYS.includes(key)) findRequest[key] = value;
+			else issues.push(`${where}: unknown match key "${key}"`);
+		}
+
+		for (const method of methods) {
+			const key = `${method} ${entry.path} ${entry.host || '*'} ${JSON.stringify(entry.headers || {})} ${JSON.stringify(entry.match || {})}`;
+			if (seen.has(key)) {
+				issues.push(`${where}: ${method.toUpperCase()} ${entry.path} conflicts with routes[${seen.get(key)}]`);
+			} else {
+				seen.set(key, index);
+			}
+		}
+
+		const options = { ...(entry.options || {}) };
+		for (const [key, value] of Object.entries(entry)) {
+			if (!ENTRY_KEYS.includes(key)) options[key] = value;
+		}
+		if (Object.keys(validate).length > 0) options.validate = validate;
+
+		routes.push({
+			methods,
+			path: entry.path,
+			handler: { name: entry.handler, value: handler },
+			middlewares: resolveMiddlewares(entry.middlewares, where),
+			schemaNames,
+			options,
+			findRequest,
+		});
+	});
+
+	let dispatcherOptions = {};
+	if (table.options !== undefined) {
+		if (table.options && typeof table.options === 'object' && !Array.isArray(table.options)) dispatcherOptions = table.options;
+		else issues.push('options: expected an object of RouteDispatcher options');
+	}
+
+	return { middlewares: globalMiddlewares, routes, options: dispatcherOptions, issues };
+}
+
+/**
+ * Whether a match value survives JSON: no functions or regular expressions at any depth.
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isSerializable(value) {
+	if (typeof value === 'function' || value instanceof RegExp) return false;
+	if (value && typeof value === 'object') return Object.values(value).every(isSerializable);
+	return true;
+}
+
+/**
+ * Serialises a route table back into the config format read by resolveRouteConfig().
+ * Group and mount middleware is flattened into each route's middlewares.
+ * @param {Map<string, Array<Object>>} routes - Route table keyed by lowercase method.
+ * @param {Function[]} globalMiddlewares - Dispatcher-wide middleware.
+ * @param {(value: *) => (string|null)} nameOf - Returns the registry name of a handler, middleware or schema.
+ * @returns {{config: Object, issues: string[]}}
+ */
+function toRouteConfig(routes, globalMiddlewares, nameOf) {
+	const issues = [];
+
+	const namesOf = (fns, where) =>
+		fns.map((fn) => {
+			const name = nameOf(fn);
+			if (!name) issues.push(`${where}: middleware has no registry name`);
+			return name;
+		});
+
+	const config = { middlewares: namesOf(globalMiddlewares, 'middlewares'), routes: [] };
+
+	for (const [method, methodRoutes] of routes.entries()) {
+		for (const route of methodRoutes) {
+			const where = `${method.toUpperCase()} ${route.path}`;
+			const entry = { method, path: route.path };
+
+			const { hostname, method: _method, ...constraints } = route.findRequest || {};
+			if (hostname) entry.host = hostname;
+			const headers = {};
+			const match = {};
+			for (const [key, value] of Object.entries(constraints)) {
+				if (key === 'match') issues.push(`${where}: predicate functions cannot be exported`);
+				else if (!MATCH_KEYS.includes(key)) headers[key] = value;
+				else if (isSerializable(value)) match[key] = value;
+				else issues.push(`${where}: match.${key} holds a function or regular expression and cannot be exported`);
+			}
+			if (Object.keys(headers).length > 0) entry.headers = headers;
+			if (Object.keys(match).length > 0) entry.match = match;
+
+			const middlewares = namesOf([...(route.scopes || []).flat(), ...(route.middlewares || [])], where);
+			if (middlewares.length > 0) entry.middlewares = middlewares;
+
+			entry.handler = nameOf(route.handler);
+			if (!entry.handler) issues.push(`${where}: handler has no registry name`);
+
+			const { validate, middlewares: _middlewares, ...options } = route.options || {};
+			if (validate && Object.keys(validate).length > 0) {
+				entry.validate = {};
+				for (const [part, schema] of Object.entries(validate)) {
+					if (schema === undefined || schema === null) continue;
+					const name = typeof schema === 'string' ? schema : nameOf(schema);
+					if (name) entry.validate[part] = name;
+					else issues.push(`${where}: validate.${part} has no registry name`);
+				}
+			}
+			if (Object.keys(options).length > 0) entry.options = options;
+
+			config.routes.push(entry);
+		}
+	}
+
+	return { config, issues };
+}
+
+module.exports = { resolveRouteConfig, toRouteConfig, CONFIG_METHODS };
+
+// cloudflare-workers-compatible-route-config.js
@@ -1,5 +1,22 @@
 import { RequestParser } from './cloudflare-workers-compatible-request-parser';
 import { ResponseBuilder } from './cloudflare-workers-compatible-response-builder';
+import { RouteTrie, compilePattern, normalizeHost } from './cloudflare-workers-compatible-route-trie';
+import { buildOpenAPIDocument } from './cloudflare-workers-compatible-openapi';
+import { injectRequest } from './cloudflare-workers-compatible-test-client';
+import { toIssues } from './cloudflare-workers-compatible-schema';
+import { resolveRouteConfig, toRouteConfig } from './cloudflare-workers-compatible-route-config';
+import {
+	describeRoute,
+	findInvalidWildcards,
+	routeSignature,
+	probePaths,
+	probeHost,
+	probeRequestParts,
+	hostsOverlap,
+} from './cloudflare-workers-compatible-route-analyzer';
+import { predicateKey } from './cloudflare-workers-compatible-request-predicates';
+import { stringifyQuery } from './cloudflare-workers-compatible-query';
+import { errorFactory, problemResponse } from './cloudflare-workers-compatible-errors';
 /**
  * A global registry to store routes by HTTP method.
  * @type {Map<string, Array<{path: string, middlewares : Array<Function>;  options : Object handler: (Function|null)}>>}
@@ -12,23 +29,10 @@ const GLOBAL_ROUTES_REGISTRY = new Map();
  */
 
 /**
- * Creates a standardized Error object with additional properties.
- * @param {Object} options
- * @param {string} options.message - Error message.
- * @param {number} [options.status=500] - HTTP status code.
- * @param {string} [options.code='UNKNOWN_ERROR'] - Custom error code.
- * @param {number} [options.exit_code=99] - Numeric exit code.
- * @param {string} [options.hint] - Optional hint message.
- * @returns {Error & {status: number, code: string, exit_code: number, hint?: string}}
+ * Creates a standardized dispatcher error.
+ * @type {(options: {message: string, status?: number, code?: string, exit_code?: number, hint?: string}) => Error}
  */
-function createError({ message, status = 500, code = 'UNKNOWN_ERROR', exit_code = 99, hint = undefined }) {
-	const error = new Error(message);
-	error.status = status;
-	error.code = code;
-	error.exit_code = exit_code;
-	if (hint) error.hint = hint;
-	return error;
-}
+const createError = errorFactory({ status: 500, code: 'UNKNOWN_ERROR', exit_code: 99 });
 
 /**
  * Proxies an incoming request to a specified external URL.
@@ -101,51 +105,103 @@ async function forwardCustomRequest(method, url, originalRequest) {
 		});
 	}
 }
+/**
+ * Lazily loads and caches values by key.
+ * Entries may expire after ttl, be served stale while refreshing (staleWhileRevalidate),
+ * and depend on other keys: reloading a key invalidates everything that depends on it.
+ */
 class Resolver {
 	constructor() {
 		this._resolvedValues = new Map();
 		this._promisedValues = new Map();
 		this._pendingLoads = new Map();
+		/** @private Keys depending on each key, built from dependsOn. */
+		this._dependants = new Map();
+		/** @private Per-key counters, see stats(). */
+		this._stats = new Map();
 	}
 
 	delete(key) {
+		this._invalidateDependants(key);
 		this._resolvedValues.delete(key);
 		this._promisedValues.delete(key);
 		this._pendingLoads.delete(key);
+		this._stats.delete(key);
+		for (const dependants of this._dependants.values()) dependants.delete(key);
 	}
 
 	clear() {
 		this._resolvedValues.clear();
 		this._promisedValues.clear();
 		this._pendingLoads.clear();
+		this._dependants.clear();
+		this._stats.clear();
 	}
 
-	async get(key) {
+	/**
+	 * Returns the value for key, running its loader when there is no usable value.
+	 * Within staleWhileRevalidate after ttl, the stale value is returned and refreshed in the
+	 * background; the first argument exposing waitUntil() (the Workers ctx) keeps that refresh alive.
+	 * @param {string} key
+	 * @param {...*} args - Arguments passed to the loader (e.g. env, ctx).
+	 * @returns {Promise<*>} The value, or null for unknown keys.
+	 */
+	async get(key, ...args) {
 		const loaderEntry = this._promisedValues.get(key);
 		const resolvedEntry = this._resolvedValues.get(key);
+		const stats = this._statsFor(key);
 
-		if (resolvedEntry) {
-			if (loaderEntry && typeof loaderEntry.purge === 'function' && (await loaderEntry.purge(resolvedEntry.value))) {
-				return await this.reload(key);
+		if (!loaderEntry) {
+			if (!resolvedEntry) {
+				stats.misses++;
+				return null;
 			}
-			if (resolvedEntry.value !== null) return resolvedEntry.value;
+			stats.hits++;
+			return resolvedEntry.value;
 		}
 
-		if (!resolvedEntry) return null;
+		if (resolvedEntry && resolvedEntry.loaded) {
+			const age = Date.now() - resolvedEntry.loadedAt;
+			const expired = typeof loaderEntry.ttl === 'number' && age >= loaderEntry.ttl;
+			const purged = typeof loaderEntry.purge === 'function' && (await loaderEntry.purge(resolvedEntry.value));
 
-		if (loaderEntry) {
-			if (this._pendingLoads.has(key)) {
-				return await this._pendingLoads.get(key);
+			if (!expired && !purged) {
+				stats.hits++;
+				return resolvedEntry.value;
+			}
+			if (!purged && typeof loaderEntry.staleWhileRevalidate === 'number' && age < loaderEntry.ttl + loaderEntry.staleWhileRevalidate) {
+				stats.stale++;
+				this._refreshInBackground(key, loaderEntry, args);
+				return resolvedEntry.value;
 			}
-
-			const promise = this._loadAndResolve(key, loaderEntry);
-			this._pendingLoads.set(key, promise);
-			return await promise;
 		}
 
-		return null;
+		stats.misses++;
+		return await this._load(key, loaderEntry, args);
 	}
 
+	/**
+	 * Lists the keys whose values are currently loaded.
+	 * @returns {Array<[string, *]>} Key and value pairs.
+	 */
+	loaded() {
+		return Array.from(this._resolvedValues.values())
+			.filter((entry) => entry.loaded)
+			.map((entry) => [entry.key, entry.value]);
+	}
+
+	/**
+	 * Registers a value, or a lazy async loader under object.value.
+	 * @param {Object} object
+	 * @param {string} object.key
+	 * @param {*|Function} object.value - Plain value, or an async function loading it.
+	 * @param {Function} [object.Adapter] - Class the loaded value is wrapped in.
+	 * @param {Function} [object.purge] - Predicate on the current value; returning true reloads it.
+	 * @param {number} [object.ttl] - Milliseconds a loaded value stays fresh.
+	 * @param {number} [object.staleWhileRevalidate] - Milliseconds past ttl a stale value may still be served.
+	 * @param {string[]} [object.dependsOn] - Keys whose reload invalidates this one.
+	 * @returns {Object} The given object.
+	 */
 	add(object = null) {
 		if (object && object.value && object.key) {
 			if (typeof object.value === 'function' && Object.prototype.toString.call(object.value) === '[object AsyncFunction]') {
@@ -153,47 +209,123 @@ class Resolver {
 					value: object.value,
 					Adapter: object.Adapter || null,
 					purge: object.purge || null,
+					ttl: typeof object.ttl === 'number' ? object.ttl : null,
+					staleWhileRevalidate: typeof object.staleWhileRevalidate === 'number' ? object.staleWhileRevalidate : null,
 				});
 				this._resolvedValues.set(object.key, {
 					key: object.key,
 					Adapter: object.Adapter || null,
 					value: null,
+					loaded: false,
+					loadedAt: 0,
 				});
 			} else {
 				this._resolvedValues.set(object.key, {
 					key: object.key,
 					Adapter: object.Adapter || null,
 					value: object.value,
+					loaded: true,
+					loadedAt: Date.now(),
 				});
 			}
+			for (const dependency of object.dependsOn || []) {
+				if (!this._dependants.has(dependency)) this._dependants.set(dependency, new Set());
+				this._dependants.get(dependency).add(object.key);
+			}
 		}
 		return object;
 	}
 
-	async reload(key) {
+	async reload(key, ...args) {
 		const loaderEntry = this._promisedValues.get(key);
 		if (!loaderEntry) return null;
+		return await this._load(key, loaderEntry, args);
+	}
 
-		if (this._pendingLoads.has(key)) {
-			return await this._pendingLoads.get(key);
+	/**
+	 * Returns hit, miss, stale, refresh and error counters, in total and per key.
+	 * @param {string} [key] - Restrict to a single key.
+	 * @returns {{hits: number, misses: number, stale: number, refreshes: number, errors: number, keys?: Object}}
+	 */
+	stats(key) {
+		if (key !== undefined) return { ...this._statsFor(key) };
+		const total = { hits: 0, misses: 0, stale: 0, refreshes: 0, errors: 0, keys: {} };
+		for (const [statsKey, counters] of this._stats) {
+			for (const name of ['hits', 'misses', 'stale', 'refreshes', 'errors']) total[name] += counters[name];
+			total.keys[statsKey] = { ...counters };
 		}
+		return total;
+	}
+
+	/** @private */
+	_statsFor(key) {
+		if (!this._stats.has(key)) this._stats.set(key, { hits: 0, misses: 0, stale: 0, refreshes: 0, errors: 0 });
+		return this._stats.get(key);
+	}
 
-		const promise = this._loadAndResolve(key, loaderEntry);
+	/**
+	 * Runs the loader once per key at a time; concurrent callers share the pending load.
+	 * @private
+	 */
+	_load(key, loaderEntry, args) {
+		if (this._pendingLoads.has(key)) return this._pendingLoads.get(key);
+
+		const promise = this._loadAndResolve(key, loaderEntry, args).finally(() => {
+			this._pendingLoads.delete(key);
+		});
 		this._pendingLoads.set(key, promise);
-		return await promise;
+		return promise;
+	}
+
+	/** @private */
+	_refreshInBackground(key, loaderEntry, args) {
+		if (this._pendingLoads.has(key)) return;
+		const refresh = this._load(key, loaderEntry, args).catch((err) => {
+			console.error(`Background refresh of "${key}" failed:`, err);
+		});
+		const ctx = args.find((arg) => arg && typeof arg.waitUntil === 'function');
+		if (ctx) ctx.waitUntil(refresh);
 	}
 
-	async _loadAndResolve(key, loaderEntry) {
-		const value = await loaderEntry.value();
+	async _loadAndResolve(key, loaderEntry, args = []) {
+		const stats = this._statsFor(key);
+		const previous = this._resolvedValues.get(key);
+		let value;
+		try {
+			value = await loaderEntry.value(...args);
+		} catch (err) {
+			stats.errors++;
+			throw err;
+		}
 		const adapted = loaderEntry.Adapter ? new loaderEntry.Adapter(value) : value;
+		if (previous && previous.loaded) stats.refreshes++;
 		this._resolvedValues.set(key, {
 			key,
 			Adapter: loaderEntry.Adapter || null,
 			value: adapted,
+			loaded: true,
+			loadedAt: Date.now(),
 		});
-		this._pendingLoads.delete(key);
+		this._invalidateDependants(key);
 		return adapted;
 	}
+
+	/**
+	 * Drops the loaded values of everything depending on key, transitively,
+	 * so their loaders run again on next get().
+	 * @private
+	 */
+	_invalidateDependants(key, visited = new Set()) {
+		for (const dependant of this._dependants.get(key) || []) {
+			if (visited.has(dependant)) continue;
+			visited.add(dependant);
+			const entry = this._resolvedValues.get(dependant);
+			if (entry && this._promisedValues.has(dependant)) {
+				this._resolvedValues.set(dependant, { ...entry, value: null, loaded: false, loadedAt: 0 });
+			}
+			this._invalidateDependants(dependant, visited);
+		}
+	}
 }
 
 /**
@@ -202,13 +334,170 @@ class Resolver {
 class RouteDispatcher {
 	/**
 	 * Creates a new RouteDispatcher instance.
+	 * @param {Object} [options]
+	 * @param {boolean} [options.strict=false] - Throw when a registered route is unreachable, duplicated, has an invalid wildcard or overlaps another host; see analyze().
+	 * @param {number} [options.timeout] - Default handler timeout in milliseconds for routes without their own.
+	 * @param {boolean} [options.development=false] - Check JSON responses against options.validate.response.
+	 * @param {boolean} [options.problemDetails=false] - Render errors, 404, 405 and validation failures as RFC 9457 application/problem+json.
+	 * @param {string} [options.problemTypeBase='/problems/'] - Prefix of problem type URIs for catalogued error codes.
+	 * @param {{json?: number, text?: number, form?: number, raw?: number}} [options.limits] - Default maximum body bytes per body reader; routes override single entries.
+	 * @param {string[]} [options.contentTypes] - Default media types accepted as request bodies; other bodies get 415.
+	 * @param {string|string[]|function(Object): (string|string[])} [options.cookieSecret='COOKIE_SECRET'] - Env binding name(s) holding
+	 * the cookie signing secret, or a function returning the secret(s) from env. The first secret signs; all of them verify,
+	 * so a rotated-out secret stays valid while it is listed.
 	 */
 
-	constructor() {
+	constructor({
+		strict = false,
+		timeout = null,
+		development = false,
+		problemDetails = false,
+		problemTypeBase = undefined,
+		limits = {},
+		contentTypes = null,
+		cookieSecret = 'COOKIE_SECRET',
+	} = {}) {
+		/** @type {boolean} */
+		this.problemDetails = problemDetails;
+		/** @type {string|undefined} */
+		this.problemTypeBase = problemTypeBase;
+		/** @private */
+		this._strict = strict;
+		/** @private */
+		this._development = development;
+		/** @private */
+		this._defaultTimeout = timeout;
+		/** @private Body limits applying to routes without their own, see setBodyLimits(). */
+		this._bodyLimits = limits;
+		/** @private Body media types accepted by routes without their own list. */
+		this._contentTypes = contentTypes;
+		/** @private See cookieSecrets(). */
+		this._cookieSecret = cookieSecret;
 		this._securityHeaders = {};
 		this._errorHandler = null;
+		/** @private Lifecycle hooks by name, see addHook(). */
+		this._hooks = { onRequest: [], onRoute: [], onResponse: [], onFinally: [] };
 		this.middlewares = [];
 		this.routes = new Map();
+		/** @private Route tries keyed by method, built from this.routes. */
+		this._routeIndexes = new Map();
+		/** @private Middleware stacks of the groups currently being declared, outermost first. */
+		this._scopeStack = [];
+		/** @private Options ({ timeout }) of the groups currently being declared, outermost first. */
+		this._groupOptionsStack = [];
+		/** @private Dependencies registered with provide(), by key. */
+		this._providers = new Map();
+		/** @private Singleton dependencies, shared by every request in the isolate. */
+		this._singletons = new Resolver();
+		/** @private Registry names of handlers, middleware and schemas wired by fromConfig(). */
+		this._configNames = new WeakMap();
+		/** @private Middleware objects by the function their handler() returned, so toConfig() can name them. */
+		this._middlewareSources = new WeakMap();
+	}
+	/**
+	 * Creates a dispatcher from a declarative route table, resolving names against a registry.
+	 * Every unknown handler, middleware or schema and every conflicting route is reported at once.
+	 * @example
+	 * RouteDispatcher.fromConfig(
+	 *   { middlewares: ['cors'], routes: [{ method: 'get', path: '/users/:id', host: 'api.example.com', middlewares: ['auth'], validate: { query: 'userQuery' }, handler: 'getUser' }] },
+	 *   { handlers: { getUser }, middlewares: { cors: new Cors(), auth }, schemas: { userQuery } },
+	 *   { problemDetails: true, cookieSecret: ['COOKIE_SECRET', 'COOKIE_SECRET_OLD'] }
+	 * );
+	 * @param {string|Object} config - JSON string or object: { options?, middlewares?: string[], routes: Array<{method, path, host?, headers?, match?, middlewares?, validate?, handler, options?}> }.
+	 * match holds JSON-safe request predicates: { headers?, query?, cookies?, contentType?, cf? }.
+	 * @param {Object} [registry] - { handlers, middlewares, schemas } keyed by name.
+	 * @param {Object} [options] - Constructor options (problemDetails, timeout, limits, ...); they override config.options.
+	 * @returns {RouteDispatcher}
+	 * @throws Throws ERROR_INVALID_ROUTE_CONFIG listing every issue in error.issues.
+	 */
+	static fromConfig(config, registry = {}, options = {}) {
+		const { middlewares, routes, options: configOptions, issues } = resolveRouteConfig(config, registry);
+		if (issues.length > 0) {
+			const error = createError({
+				message: `Invalid route config:\n- ${issues.join('\n- ')}`,
+				status: 500,
+				code: 'ERROR_INVALID_ROUTE_CONFIG',
+				exit_code: 25,
+				hint: 'Register every referenced name in the registry and remove duplicate routes.',
+			});
+			error.issues = issues;
+			throw error;
+		}
+
+		const dispatcher = new RouteDispatcher({ ...configOptions, ...options });
+		for (const { name, middleware } of middlewares) {
+			const fn = dispatcher._normalizeMiddleware(middleware);
+			dispatcher._configNames.set(fn, name);
+			dispatcher.middlewares.push(fn);
+		}
+
+		for (const route of routes) {
+			dispatcher._configNames.set(route.handler.value, route.handler.name);
+			const routeMiddlewares = route.middlewares.map(({ name, middleware }) => {
+				const fn = dispatcher._normalizeMiddleware(middleware);
+				dispatcher._configNames.set(fn, name);
+				return fn;
+			});
+			for (const [part, name] of Object.entries(route.schemaNames)) {
+				const schema = route.options.validate[part];
+				if (schema && typeof schema === 'object') dispatcher._configNames.set(schema, name);
+			}
+			for (const method of route.methods) {
+				dispatcher._registerRoute(method, route.path, { ...route.options, middlewares: routeMiddlewares }, route.handler.value, {
+					...route.findRequest,
+					method,
+				});
+			}
+		}
+		return dispatcher;
+	}
+	/**
+	 * Exports the route table in the format accepted by fromConfig().
+	 * Names come from fromConfig(), then the given registry, then function names.
+	 * Middleware objects such as Cors are named by the object registered, not by their handler().
+	 * @example
+	 * const cors = new Cors();
+	 * router.use(cors).get('/users/:id', getUser);
+	 * const config = router.toConfig({ handlers: { getUser }, middlewares: { cors } });
+	 * // { middlewares: ['cors'], routes: [{ method: 'get', path: '/users/:id', handler: 'getUser' }] }
+	 * RouteDispatcher.fromConfig(JSON.stringify(config), { handlers: { getUser }, middlewares: { cors } });
+	 * @param {Object} [registry] - { handlers, middlewares, schemas } used to name values registered in code.
+	 * @returns {Object} Route config.
+	 * @throws Throws ERROR_ROUTE_CONFIG_EXPORT if a handler, middleware or validate schema has no name.
+	 */
+	toConfig(registry = {}) {
+		const registryNames = new Map();
+		for (const section of ['handlers', 'middlewares', 'schemas']) {
+			for (const [name, value] of Object.entries(registry[section] || {})) {
+				registryNames.set(value, name);
+			}
+		}
+
+		const nameOf = (value) => {
+			if (!value || (typeof value !== 'function' && typeof value !== 'object')) return null;
+			const source = this._middlewareSources.get(value);
+			return (
+				this._configNames.get(value) ||
+				registryNames.get(value) ||
+				(source && registryNames.get(source)) ||
+				(typeof value === 'function' && value.name) ||
+				null
+			);
+		};
+
+		const { config, issues } = toRouteConfig(this.routes, this.middlewares, nameOf);
+		if (issues.length > 0) {
+			const error = createError({
+				message: `Route table cannot be exported:\n- ${issues.join('\n- ')}`,
+				status: 500,
+				code: 'ERROR_ROUTE_CONFIG_EXPORT',
+				exit_code: 26,
+				hint: 'Pass a registry naming the handlers, middleware and schemas registered in code.',
+			});
+			error.issues = issues;
+			throw error;
+		}
+		return config;
 	}
 	useGlobalRegistry() {
 		this.routes = GLOBAL_ROUTES_REGISTRY; // method -> [{ path, handler }]
@@ -257,6 +546,7 @@ class RouteDispatcher {
 				method: req.method,
 				headers: req.rawRequest.headers,
 				body: req.method !== 'GET' && req.method !== 'HEAD' ? req.rawRequest.body : undefined,
+				signal: req.signal,
 			});
 		});
 	}
@@ -306,15 +596,23 @@ class RouteDispatcher {
 					fullPath = prefix + path;
 				}
 
-				// Clone route object with adjusted path
-				return { ...route, path: fullPath };
+				// Clone route object with adjusted path; the subrouter's own middleware becomes a scope of its routes
+				return { ...route, path: fullPath, scopes: [subrouter.middlewares, ...(route.scopes || [])] };
 			});
 
 			this.routes.set(method, parentRoutes.concat(updatedRoutes));
+			const issues = this._strictIssues(method, updatedRoutes);
+			if (issues.length > 0) this._rejectRoutes(method, parentRoutes, issues);
 		}
 
 		return this;
 	}
+	/**
+	 * Mounts a subrouter's routes under a host constraint.
+	 * @param {string} hostname - Exact host, "*.example.com", or a pattern with params such as ":tenant.example.com"; captures land on req.hostParams.
+	 * @param {RouteDispatcher} subrouter - Dispatcher whose routes are copied.
+	 * @returns {RouteDispatcher} Returns self for chaining.
+	 */
 	mountWithHost(hostname, subrouter) {
 		if (!(subrouter instanceof RouteDispatcher)) {
 			throw createError({
@@ -327,11 +625,22 @@ class RouteDispatcher {
 		for (const [method, routes] of subrouter.routes.entries()) {
 			const parentRoutes = this.routes.get(method) || [];
 			const updatedRoutes = routes.map((route) => {
-				const { path, handler, options, middlewares, method, findRequest } = route;
+				const { path, handler, options, middlewares, method, findRequest, scopes = [], timeout = null } = route;
 				const newFindRequest = { ...findRequest, hostname };
-				return { path, handler, options, middlewares, method, findRequest: newFindRequest };
+				return {
+					path,
+					handler,
+					options,
+					middlewares,
+					method,
+					findRequest: newFindRequest,
+					scopes: [subrouter.middlewares, ...scopes],
+					timeout,
+				};
 			});
 			this.routes.set(method, parentRoutes.concat(updatedRoutes));
+			const issues = this._strictIssues(method, updatedRoutes);
+			if (issues.length > 0) this._rejectRoutes(method, parentRoutes, issues);
 		}
 		return this;
 	}
@@ -344,14 +653,74 @@ class RouteDispatcher {
 		this._securityHeaders = headers || {};
 		return this;
 	}
+	/**
+	 * Sets the handler timeout used by routes that declare none, directly or through a group.
+	 * @param {number|null} ms - Timeout in milliseconds, or null to disable.
+	 * @returns {RouteDispatcher}
+	 */
+	setDefaultTimeout(ms) {
+		this._defaultTimeout = ms;
+		return this;
+	}
+	/**
+	 * Sets the body size limits used by every route. A route's own options.limits
+	 * override single entries, e.g. { json: 1e6 } keeps the default form limit.
+	 * @example
+	 * router.setBodyLimits({ json: 100 * 1024, text: 100 * 1024, form: 10 * 1024 * 1024, raw: 1024 * 1024 });
+	 * router.post('/import', { limits: { json: 50 * 1024 * 1024 }, contentTypes: ['application/json'] }, importHandler);
+	 * @param {{json?: number, text?: number, form?: number, raw?: number}} limits - Maximum bytes per body reader.
+	 * @returns {RouteDispatcher}
+	 */
+	setBodyLimits(limits) {
+		this._bodyLimits = limits || {};
+		return this;
+	}
+	/**
+	 * Resolves the cookie secrets from env, signing secret first. A binding may itself hold
+	 * an array of secrets.
+	 * @param {Object} env - Environment bindings.
+	 * @returns {string[]} Empty when no secret is configured.
+	 */
+	cookieSecrets(env) {
+		const source = this._cookieSecret;
+		const values =
+			typeof source === 'function' ? source(env) : (Array.isArray(source) ? source : [source]).map((name) => (env && name ? env[name] : undefined));
+		return [values].flat(2).filter((secret) => typeof secret === 'string' && secret.length > 0);
+	}
+
+	/**
+	 * Generates an OpenAPI 3.1 document from the registered routes, including
+	 * mounted and grouped ones. Per-route summary, description, operationId, tags
+	 * and responses are read from the route options.
+	 * @param {Object} [options]
+	 * @param {Object} [options.info] - OpenAPI info object (title, version, ...).
+	 * @param {Array<Object>} [options.servers] - OpenAPI servers.
+	 * @returns {Object} OpenAPI document.
+	 */
+	toOpenAPI({ info, servers } = {}) {
+		return buildOpenAPIDocument(this.routes, { info, servers });
+	}
+
+	/**
+	 * Registers a GET route serving the OpenAPI document as JSON.
+	 * The document is generated per request, so routes added later are included.
+	 * @param {string} [path='/openapi.json'] - Path to serve the document on.
+	 * @param {Object} [options] - Same as toOpenAPI().
+	 * @returns {RouteDispatcher}
+	 */
+	serveOpenAPI(path = '/openapi.json', options = {}) {
+		return this.get(path, { openapi: false }, (req, res) => res.sendJSON(this.toOpenAPI(options)));
+	}
 
 	/**
 	 * Groups multiple routes under a common path prefix.
 	 * @param {string} prefix - The path prefix (e.g., "/api/v1").
 	 * @param {Function} callback - Function receiving a temporary dispatcher.
+	 * @param {Object} [options]
+	 * @param {number} [options.timeout] - Handler timeout in milliseconds for routes of the group without their own.
 	 * @returns {RouteDispatcher} Self for chaining.
 	 */
-	group(prefix, callback) {
+	group(prefix, callback, options = {}) {
 		if (typeof prefix !== 'string' || !prefix.startsWith('/')) {
 			throw createError({
 				message: 'Group prefix must be a string starting with "/".',
@@ -374,8 +743,8 @@ class RouteDispatcher {
 		// Provide a helper to auto-prefix paths
 		const self = this;
 		const grouped = {
-			group(_prefix, callback) {
-				return self.group(`${prefix}${_prefix}`, callback);
+			group(_prefix, callback, options) {
+				return self.group(`${prefix}${_prefix}`, callback, options);
 			},
 			get(path, ...args) {
 				return self.get(`${prefix}${path}`, ...args);
@@ -395,15 +764,29 @@ class RouteDispatcher {
 			all(path, ...args) {
 				return self.all(`${prefix}${path}`, ...args);
 			},
-			use(...args) {
-				return self.use(...args);
+			use(middleware) {
+				scope.push(self._normalizeMiddleware(middleware));
+				return grouped;
 			},
 		};
-		callback(grouped);
+		const scope = [];
+		this._withScope(scope, () => callback(grouped), options);
 
 		return this;
 	}
-	groupHost(hostname, callback) {
+	/**
+	 * Registers routes that only match a host.
+	 * @example
+	 * router.groupHost('{region}.{env}.example.com', (g) => {
+	 *   g.get('/status', (req) => ({ region: req.hostParams.region }));
+	 * });
+	 * @param {string} hostname - Exact host, "*.example.com", or a pattern with ":name" labels or "{name}" placeholders.
+	 * Matching ignores the port and compares internationalised names in punycode.
+	 * @param {Function} callback - Receives the group (get, post, put, delete, head, all, use).
+	 * @param {Object} [options] - Group options, e.g. { timeout }.
+	 * @returns {RouteDispatcher} Returns self for chaining.
+	 */
+	groupHost(hostname, callback, options = {}) {
 		if (typeof hostname !== 'string') {
 			throw createError({
 				message: 'groupHost() requires hostname to be a string.',
@@ -431,11 +814,34 @@ class RouteDispatcher {
 				self[key](path, predicate, maybeHandler, { ...findRequest, hostname });
 			};
 		}
-		callback(grouped);
+		const scope = [];
+		grouped.use = function (middleware) {
+			scope.push(self._normalizeMiddleware(middleware));
+			return grouped;
+		};
+		this._withScope(scope, () => callback(grouped), options);
 		return this;
 	}
+	/**
+	 * Runs a group callback with a middleware stack applied to every route it registers.
+	 * @private
+	 * @param {Function[]} scope - The group's middleware stack.
+	 * @param {Function} fn - Group callback.
+	 * @param {Object} [options] - Group options such as { timeout }.
+	 */
+	_withScope(scope, fn, options = {}) {
+		this._scopeStack.push(scope);
+		this._groupOptionsStack.push(options || {});
+		try {
+			fn();
+		} finally {
+			this._scopeStack.pop();
+			this._groupOptionsStack.pop();
+		}
+	}
 	/**
 	 * Processes an incoming request, matches a route, and executes middleware and handler.
+	 * Lifecycle hooks run around it: onRequest, onRoute, onResponse, then onFinally.
 	 * @param {Request} request - Incoming Fetch API Request.
 	 * @param {Object} env - Environment bindings.
 	 * @param {Object} ctx - Context for waitUntil and other Cloudflare Workers features.
@@ -452,25 +858,94 @@ class RouteDispatcher {
 			});
 		}
 
+		const state = { stripBody: false, requestResolver: null };
+		let response;
+		try {
+			try {
+				response = await this._runHooks('onRequest', request, env, ctx);
+			} catch (err) {
+				response = await this._handleError(err, request, new ResponseBuilder(this, env, request), env, ctx);
+			}
+			if (!response) response = await this._dispatch(request, env, ctx, state);
+			response = await this._runResponseHooks(response, request, env, ctx);
+
+			if (state.stripBody) {
+				response = new Response(null, { status: response.status, statusText: response.statusText, headers: response.headers });
+			}
+			return response;
+		} finally {
+			// Off the response path; the request scope outlives the hooks, which may still use it
+			const finished = this._runFinallyHooks(request, response, env, ctx).then(() => this._disposeRequestScope(state, null));
+			if (ctx && typeof ctx.waitUntil === 'function') ctx.waitUntil(finished);
+			else await finished;
+		}
+	}
+	/**
+	 * Matches the request and runs the middleware chain and handler.
+	 * @private
+	 * @param {Request} request - Incoming Fetch API Request.
+	 * @param {Object} env - Environment bindings.
+	 * @param {Object} ctx - Execution context.
+	 * @param {{stripBody: boolean}} state - Set to strip the body once hooks have run (HEAD via GET).
+	 * @returns {Promise<Response>}
+	 */
+	async _dispatch(request, env, ctx, state) {
 		const url = new URL(request.url);
 		const method = request.method.toLowerCase();
 		const pathname = url.pathname.endsWith('/') && url.pathname !== '/' ? url.pathname.slice(0, -1) : url.pathname;
 
-		if (request.method === 'OPTIONS') {
-			const res = new ResponseBuilder().setStatus(204).enableCORS();
-			return res.end();
-		}
+		let match;
+		// findRequest predicates are user code; a throwing one is reported like any handler error
+		try {
+			match = this.matchRoute(method, pathname, request);
 
-		const match = this.matchRoute(method, pathname, request);
-		if (!match) {
-			return new Response(`Not found: ${method.toUpperCase()} ${pathname}`, { status: 404 });
+			// HEAD falls back to the GET handler; the body is stripped once the response is built
+			if (!match && method === 'head') {
+				match = this.matchRoute('get', pathname, request);
+				state.stripBody = Boolean(match);
+			}
+
+			if (!match) {
+				const allowed = this.allowedMethods(pathname, request);
+				const notFound = () => {
+					if (this.problemDetails) {
+						return this.problem(createError({ message: `Not found: ${method.toUpperCase()} ${pathname}`, status: 404, code: 'ERROR_ROUTE_NOT_FOUND' }), request);
+					}
+					return new Response(`Not found: ${method.toUpperCase()} ${pathname}`, { status: 404 });
+				};
+				if (allowed.length === 0) return notFound();
+				// The route exists for this method but its request predicates rejected the request
+				if (method !== 'options' && allowed.includes(method.toUpperCase())) {
+					if (method === 'head' || !this._findRoute(method, pathname, request, 'matchWithoutContentType')) return notFound();
+					const message = `Unsupported media type for ${method.toUpperCase()} ${pathname}: ${request.headers.get('content-type') || 'none'}`;
+					if (this.problemDetails) {
+						return this.problem(createError({ message, status: 415, code: 'BODY_UNSUPPORTED_MEDIA_TYPE' }), request);
+					}
+					return new Response(message, { status: 415 });
+				}
+				if (method !== 'options') {
+					if (this.problemDetails) {
+						const error = createError({ message: `Method not allowed: ${method.toUpperCase()} ${pathname}`, status: 405, code: 'ERROR_METHOD_NOT_ALLOWED' });
+						error.extensions = { allowed };
+						return this.problem(error, request, { Allow: allowed.join(', ') });
+					}
+					return new Response(`Method not allowed: ${method.toUpperCase()} ${pathname}`, {
+						status: 405,
+						headers: { Allow: allowed.join(', ') },
+					});
+				}
+				// No explicit OPTIONS route: answer from the route table, but let global middleware (e.g. Cors) intercept first
+				match = this._automaticOptionsMatch(allowed);
+			}
+		} catch (err) {
+			return this._handleError(err, request, new ResponseBuilder(this, env, request), env, ctx);
 		}
 
-		const res = new ResponseBuilder(this, env);
+		const res = new ResponseBuilder(this, env, request);
 
 		let req;
 		try {
-			req = new RequestParser(request, match);
+			req = new RequestParser(request, match, (key) => this._resolveProvided(key, env, ctx, state), this._parserOptions(match, env));
 		} catch (err) {
 			throw createError({
 				message: 'Failed while initiating a Request: ' + err.message,
@@ -480,48 +955,71 @@ class RouteDispatcher {
 				hint: 'Verify the request body and headers are properly structured.',
 			});
 		}
-		// Automatic validation if configured
-		if (match.options && match.options.validate) {
-			const { validate } = match.options;
-			if (validate.body && typeof validate.body.safeParse === 'function') {
-				const parsed = validate.body.safeParse(await req.body());
-				if (!parsed.success) {
-					return new Response(JSON.stringify({ error: 'Invalid request body', issues: parsed.error }), {
-						status: 400,
-						headers: { 'Content-Type': 'application/json' },
-					});
-				}
-				req.validatedBody = parsed.data;
-			}
-			if (validate.query && typeof validate.query.safeParse === 'function') {
-				const parsed = validate.query.safeParse(req.queryString);
-				if (!parsed.success) {
-					return new Response(JSON.stringify({ error: 'Invalid query parameters', issues: parsed.error }), {
-						status: 400,
-						headers: { 'Content-Type': 'application/json' },
-					});
-				}
-				req.validatedQuery = parsed.data;
+		try {
+			const routed = await this._runHooks('onRoute', match, req, env, ctx);
+			if (routed) return routed;
+		} catch (err) {
+			return this._handleError(err, req, res, env, ctx);
+		}
+
+		try {
+			// Bodies of a disallowed media type are refused before any middleware runs
+			req.checkContentType();
+
+			// Automatic validation if configured
+			if (match.options && match.options.validate) {
+				const rejected = await this._validateRequest(req, match.options.validate);
+				if (rejected) return rejected;
 			}
+		} catch (err) {
+			return this._handleError(err, req, res, env, ctx);
 		}
 
-		const routeMiddlewares = Array.isArray(match.middlewares) ? match.middlewares : [];
-		const allMiddlewares = [...this.middlewares, ...routeMiddlewares];
+		const allMiddlewares = this.middlewareChain(match.route || { middlewares: match.middlewares });
 		const composed = this.compose(allMiddlewares, async (req, res, env, ctx, next) => {
 			return match.handler(req, res, env, ctx, next);
 		});
 
-		return composed(req, res, env, ctx)
-			.then((result) => {
-				let finalResponse;
-				if (result instanceof Response) {
-					finalResponse = new Response(result.body, {
-						status: result.status,
+		// req.signal aborts when the client disconnects or the route timeout passes; pass it to fetch()
+		const controller = new AbortController();
+		if (request.signal) {
+			if (request.signal.aborted) controller.abort(request.signal.reason);
+			else request.signal.addEventListener('abort', () => controller.abort(request.signal.reason), { once: true });
+		}
+		req.signal = controller.signal;
+
+		const timeout = this._routeTimeout(match);
+		let timer = null;
+		let execution = composed(req, res, env, ctx);
+		if (timeout) {
+			const deadline = new Promise((_, reject) => {
+				timer = setTimeout(() => {
+					const error = createError({
+						message: `Route handler timed out after ${timeout} ms.`,
+						status: 504,
+						code: 'ERROR_ROUTE_TIMEOUT',
+						exit_code: 28,
+						hint: 'Raise the route timeout or pass req.signal to slow upstream fetches.',
 					});
-				} else if (result instanceof ResponseBuilder) finalResponse = result.end();
+					controller.abort(error);
+					reject(error);
+				}, timeout);
+			});
+			execution = Promise.race([execution, deadline]);
+		}
+
+		const response = await execution
+			.finally(() => clearTimeout(timer))
+			.then(async (result) => {
+				let finalResponse;
+				if (result instanceof Response) finalResponse = result;
+				else if (result instanceof ResponseBuilder) finalResponse = result.end();
 				else if (res._ended) finalResponse = res.rawResponse;
-				else if (result && result.constructor === Object) {
-					return new Response(JSON.stringify(result), { status: 200 });
+				else if (result && (result.constructor === Object || Object.getPrototypeOf(result) === null)) {
+					finalResponse = new Response(JSON.stringify(result), {
+						status: 200,
+						headers: { 'Content-Type': 'application/json' },
+					});
 				} else if (result instanceof Error) {
 					finalResponse = new Response(JSON.stringify(result), { status: 500 });
 				}
@@ -530,62 +1028,616 @@ class RouteDispatcher {
 					return new Response(null, { status: 204 });
 				}
 
-				let newHeaders = new Headers(finalResponse.headers);
+				if (this._development) finalResponse = await this._validateResponse(finalResponse, match.options);
+				return this._finalizeResponse(finalResponse, res);
+			})
+			.catch((err) => this._handleError(err, req, res, env, ctx));
 
-				// Inject security headers
-				for (const [k, v] of Object.entries(this._securityHeaders)) {
-					newHeaders.set(k, v);
-				}
+		return response;
+	}
+	/**
+	 * Validates params, query, headers and body against options.validate.
+	 * Accepts schemas from cloudflare-workers-compatible-schema or any object with safeParse().
+	 * Parsed values are stored on req.validatedParams, validatedQuery, validatedHeaders and validatedBody.
+	 * @private
+	 * @param {RequestParser} req - Parsed request.
+	 * @param {Object} validate - options.validate of the route.
+	 * @returns {Promise<Response|null>} A 400 listing every issue, or null when valid.
+	 */
+	async _validateRequest(req, validate) {
+		const targets = [
+			['params', 'validatedParams', 'Invalid route parameters', () => req.params],
+			['query', 'validatedQuery', 'Invalid query parameters', () => req.query],
+			['headers', 'validatedHeaders', 'Invalid request headers', () => req.headers],
+			['body', 'validatedBody', 'Invalid request body', () => req.body()],
+		];
+
+		let error = null;
+		const issues = [];
+		for (const [location, property, message, read] of targets) {
+			const schema = validate[location];
+			if (!schema || typeof schema.safeParse !== 'function') continue;
+			const parsed = schema.safeParse(await read());
+			if (parsed.success) {
+				req[property] = parsed.data;
+			} else {
+				error = error || message;
+				issues.push(...toIssues(location, parsed.error));
+			}
+		}
 
-				return new Response(finalResponse.body, { headers: newHeaders, status: finalResponse.status });
-			})
-			.catch((err) => {
-				if (typeof this._errorHandler === 'function') {
-					try {
-						const handled = this._errorHandler(err, req, res, env, ctx);
-						if (handled instanceof Promise) return handled;
-						if (handled instanceof Response) return handled;
-					} catch (handlerError) {
-						console.error('Error handler threw:', handlerError);
-					}
-				}
-				console.error('Unhandled error:', err);
-				return new Response(
-					JSON.stringify({
-						error: err.message,
-						code: err.code || 'UNKNOWN_ERROR',
-						hint: err.hint || undefined,
-						exit_code: err.exit_code || undefined,
-					}),
-					{
-						status: err.status || 500,
-						headers: { 'Content-Type': 'application/json' },
-					}
-				);
-			});
+		if (!error) return null;
+		if (this.problemDetails) {
+			const problem = createError({ message: error, status: 400, code: 'ERROR_REQUEST_VALIDATION' });
+			problem.issues = issues;
+			return this.problem(problem, req);
+		}
+		return new Response(JSON.stringify({ error, issues }), {
+			status: 400,
+			headers: { 'Content-Type': 'application/json' },
+		});
 	}
 	/**
-	 * Adds a middleware function or middleware object with a handler method.
-	 * @param {Function|Object} middleware - Middleware function or object with handler().
-	 * @returns {RouteDispatcher} Returns self for chaining.
-	 * @throws Throws if the middleware is invalid.
+	 * In development mode, checks a JSON response against options.validate.response:
+	 * a schema for 2xx responses, or schemas keyed by status code with an optional "default".
+	 * A mismatch is replaced by a 500 listing the issues so it surfaces before release.
+	 * @private
+	 * @param {Response} response - Response produced by the handler.
+	 * @param {Object} [options] - Route options.
+	 * @returns {Promise<Response>}
 	 */
-	use(middleware) {
-		if (typeof middleware === 'function') {
-			this.middlewares.push(middleware);
-		} else if (middleware && typeof middleware.handler === 'function') {
-			this.middlewares.push(middleware.handler());
+	async _validateResponse(response, options) {
+		const rules = options && options.validate && options.validate.response;
+		if (!rules) return response;
+
+		let schema = null;
+		if (typeof rules.safeParse === 'function') {
+			if (response.status >= 200 && response.status < 300) schema = rules;
 		} else {
+			schema = rules[response.status] || rules.default;
+		}
+		if (!schema || typeof schema.safeParse !== 'function') return response;
+		if (!(response.headers.get('content-type') || '').includes('json')) return response;
+
+		let issues;
+		try {
+			const parsed = schema.safeParse(await response.clone().json());
+			if (parsed.success) return response;
+			issues = toIssues('response', parsed.error);
+		} catch (err) {
+			issues = [{ path: 'response', message: 'Body is not valid JSON' }];
+		}
+
+		console.warn('Response failed validation:', issues);
+		if (this.problemDetails) {
+			const problem = createError({ message: 'Invalid response body', status: 500, code: 'ERROR_RESPONSE_VALIDATION' });
+			problem.issues = issues;
+			return this.problem(problem);
+		}
+		return new Response(JSON.stringify({ error: 'Invalid response body', issues }), {
+			status: 500,
+			headers: { 'Content-Type': 'application/json' },
+		});
+	}
+	/**
+	 * Returns the RequestParser options of a match: the dispatcher body limits overridden
+	 * entry by entry by the route's, the route's content types or the dispatcher's, the cookie secrets,
+	 * and the route's query schema and queryParser options.
+	 * @private
+	 * @param {Object} match - Result of matchRoute().
+	 * @param {Object} env - Environment bindings.
+	 * @returns {{limits: Object<string, number>, contentTypes: string[]|null, cookieSecrets: string[], querySchema: Object|null, queryOptions: Object}}
+	 */
+	_parserOptions(match, env) {
+		const options = match.options || {};
+		return {
+			limits: { ...this._bodyLimits, ...(options.limits || {}) },
+			contentTypes: options.contentTypes || this._contentTypes,
+			cookieSecrets: this.cookieSecrets(env),
+			querySchema: (options.validate && options.validate.query) || null,
+			queryOptions: options.queryParser || {},
+		};
+	}
+	/**
+	 * Returns the timeout applying to a match: the route's own, then the dispatcher default.
+	 * @private
+	 * @param {Object} match - Result of matchRoute().
+	 * @returns {number|null} Milliseconds, or null for no timeout.
+	 */
+	_routeTimeout(match) {
+		const own = match.route ? match.route.timeout : match.options && match.options.timeout;
+		const timeout = typeof own === 'number' ? own : this._defaultTimeout;
+		return typeof timeout === 'number' && timeout > 0 ? timeout : null;
+	}
+	/**
+	 * Assembles the Response sent to the client. Headers are merged in order, later sources winning:
+	 * the handler's Response, headers set on the ResponseBuilder, then security headers.
+	 * Set-Cookie values accumulate instead of overwriting. The body stream is passed through
+	 * untouched, and statusText and webSocket (101 upgrades) are kept.
+	 * @private
+	 * @param {Response} response - Response produced by the handler or the ResponseBuilder.
+	 * @param {ResponseBuilder} res - Builder handed to middleware and the handler.
+	 * @returns {Response}
+	 */
+	_finalizeResponse(response, res) {
+		const headers = new Headers(response.headers);
+
+		// A builder-made Response already carries the builder headers
+		if (response !== res.rawResponse) {
+			for (const [key, value] of res.headers.entries()) {
+				if (key !== 'set-cookie') headers.set(key, value);
+			}
+			// getSetCookie() keeps each cookie separate; entries() may join them with commas
+			for (const cookie of res.headers.getSetCookie()) headers.append('Set-Cookie', cookie);
+		}
+
+		for (const [key, value] of Object.entries(this._securityHeaders)) {
+			headers.set(key, value);
+		}
+
+		const init = { status: response.status, statusText: response.statusText, headers };
+		if (response.webSocket) init.webSocket = response.webSocket;
+		return new Response(response.body, init);
+	}
+	/**
+	 * Turns an error into a Response via the onError handler, or a JSON error body.
+	 * @private
+	 * @param {Error} err - The thrown error.
+	 * @param {RequestParser|Request} req - Parsed request, or the raw Request before matching.
+	 * @param {ResponseBuilder} res - Response builder.
+	 * @param {Object} env - Environment bindings.
+	 * @param {Object} ctx - Execution context.
+	 * @returns {Response|Promise<Response>}
+	 */
+	_handleError(err, req, res, env, ctx) {
+		if (typeof this._errorHandler === 'function') {
+			try {
+				const handled = this._errorHandler(err, req, res, env, ctx);
+				if (handled instanceof Promise) return handled;
+				if (handled instanceof Response) return handled;
+			} catch (handlerError) {
+				console.error('Error handler threw:', handlerError);
+			}
+		}
+		console.error('Unhandled error:', err);
+		if (this.problemDetails) return this.problem(err, req);
+		return new Response(
+			JSON.stringify({
+				error: err.message,
+				code: err.code || 'UNKNOWN_ERROR',
+				hint: err.hint || undefined,
+				exit_code: err.exit_code || undefined,
+			}),
+			{
+				status: err.status || 500,
+				headers: { 'Content-Type': 'application/json' },
+			}
+		);
+	}
+	/**
+	 * Runs onRequest or onRoute hooks in registration order.
+	 * The first hook returning a Response short-circuits the rest and the handler.
+	 * @private
+	 * @param {'onRequest'|'onRoute'} name - Hook name.
+	 * @param {...*} args - Arguments passed to each hook.
+	 * @returns {Promise<Response|null>}
+	 */
+	async _runHooks(name, ...args) {
+		for (const hook of this._hooks[name]) {
+			const result = await hook(...args);
+			if (result instanceof Response) return result;
+		}
+		return null;
+	}
+	/**
+	 * Runs onResponse hooks; a hook returning a Response replaces the current one.
+	 * A throwing hook is logged and skipped so the client still gets a response.
+	 * @private
+	 * @param {Response} response - Final response, security headers included.
+	 * @param {Request} request - Original request.
+	 * @param {Object} env - Environment bindings.
+	 * @param {Object} ctx - Execution context.
+	 * @returns {Promise<Response>}
+	 */
+	async _runResponseHooks(response, request, env, ctx) {
+		for (const hook of this._hooks.onResponse) {
+			try {
+				const replaced = await hook(response, request, env, ctx);
+				if (replaced instanceof Response) response = replaced;
+			} catch (err) {
+				console.error('onResponse hook threw:', err);
+			}
+		}
+		return response;
+	}
+	/**
+	 * Runs onFinally hooks in turn. Errors are logged, never thrown.
+	 * respond() schedules this through ctx.waitUntil, so hooks do not delay the response.
+	 * @private
+	 * @param {Request} request - Original request.
+	 * @param {Response|undefined} response - Response sent, or undefined if respond() threw.
+	 * @param {Object} env - Environment bindings.
+	 * @param {Object} ctx - Execution context.
+	 * @returns {Promise<void>}
+	 */
+	async _runFinallyHooks(request, response, env, ctx) {
+		for (const hook of this._hooks.onFinally) {
+			try {
+				await hook(request, response, env, ctx);
+			} catch (err) {
+				console.error('onFinally hook threw:', err);
+			}
+		}
+	}
+	/**
+	 * Registers a dependency that handlers obtain with req.resolve(key).
+	 * Singletons are loaded once and shared by every request in the isolate;
+	 * request-scoped values are loaded once per request and disposed when it ends.
+	 * @example
+	 * router.provide('db', async (env) => connect(env.DB_URL), { scope: 'request', dispose: (db) => db.close() });
+	 * router.get('/users', async (req) => (await req.resolve('db')).query('...'));
+	 * @param {string} key - Dependency name.
+	 * @param {Function} loader - Loader accepting (env, ctx); may be async.
+	 * @param {Object} [options]
+	 * @param {'singleton'|'request'} [options.scope='singleton'] - Lifetime of the loaded value.
+	 * @param {Function} [options.Adapter] - Class the loaded value is wrapped in.
+	 * @param {Function} [options.purge] - Predicate on the current value; returning true reloads it.
+	 * @param {number} [options.ttl] - Milliseconds a singleton stays valid before it is reloaded.
+	 * @param {number} [options.staleWhileRevalidate] - Milliseconds past ttl the stale value is served while it reloads in the background.
+	 * @param {string[]} [options.dependsOn] - Keys in the same scope whose reload invalidates this value.
+	 * @param {Function} [options.dispose] - Called with (value) when a request-scoped value is disposed.
+	 * @returns {RouteDispatcher} Returns self for chaining.
+	 * @throws Throws on invalid arguments or an unknown scope.
+	 */
+	provide(
+		key,
+		loader,
+		{ scope = 'singleton', Adapter = null, purge = null, ttl = null, staleWhileRevalidate = null, dependsOn = [], dispose = null } = {}
+	) {
+		if (typeof key !== 'string' || !key || typeof loader !== 'function') {
 			throw createError({
-				message: '.use() expects a function or an object with handler().',
+				message: 'provide() expects a non-empty key and a loader function.',
 				status: 400,
 				code: 'ERROR_INVALID_ARGUMENTS',
 				exit_code: 1,
-				hint: 'Pass either a middleware function or an object with handler().',
+				hint: 'Call provide(key, (env, ctx) => value, options).',
+			});
+		}
+		if (!['singleton', 'request'].includes(scope)) {
+			throw createError({
+				message: `Unknown dependency scope "${scope}".`,
+				status: 400,
+				code: 'ERROR_INVALID_DEPENDENCY_SCOPE',
+				exit_code: 23,
+				hint: 'Use scope "singleton" or "request".',
 			});
 		}
+
+		const provider = { key, loader, scope, Adapter, purge, ttl, staleWhileRevalidate, dependsOn, dispose };
+		this._providers.set(key, provider);
+		if (scope === 'singleton') {
+			this._singletons.delete(key);
+			this._singletons.add(this._toResolverEntry(provider));
+		}
 		return this;
 	}
+	/**
+	 * Builds a Resolver entry for a provider.
+	 * @private
+	 * @param {Object} provider - Provider registered with provide().
+	 * @returns {Object} Resolver entry.
+	 */
+	_toResolverEntry({ key, loader, Adapter, purge, ttl, staleWhileRevalidate, dependsOn }) {
+		return { key, value: async (...args) => loader(...args), Adapter, purge, ttl, staleWhileRevalidate, dependsOn };
+	}
+	/**
+	 * Returns Resolver statistics for singleton dependencies, for diagnostics.
+	 * @returns {Object} Hit, miss, stale, refresh and error counters, in total and per key.
+	 */
+	dependencyStats() {
+		return this._singletons.stats();
+	}
+	/**
+	 * Resolves a provided dependency for the current request.
+	 * @private
+	 * @param {string} key - Dependency name.
+	 * @param {Object} env - Environment bindings.
+	 * @param {Object} ctx - Execution context.
+	 * @param {Object} state - Per-request state holding the request-scoped Resolver.
+	 * @returns {Promise<*>}
+	 * @throws Throws if nothing was provided under key.
+	 */
+	_resolveProvided(key, env, ctx, state) {
+		const provider = this._providers.get(key);
+		if (!provider) {
+			throw createError({
+				message: `No dependency provided for "${key}".`,
+				status: 500,
+				code: 'ERROR_DEPENDENCY_NOT_PROVIDED',
+				exit_code: 24,
+				hint: 'Register it with router.provide(key, loader) before handling requests.',
+			});
+		}
+		if (provider.scope === 'singleton') return this._singletons.get(key, env, ctx);
+
+		if (!state.requestResolver) state.requestResolver = new Resolver();
+		const resolver = state.requestResolver;
+		if (!resolver._promisedValues.has(key)) resolver.add(this._toResolverEntry(provider));
+		return resolver.get(key, env, ctx);
+	}
+	/**
+	 * Disposes request-scoped dependencies once the response is produced.
+	 * Uses the provider's dispose option, else Symbol.asyncDispose, Symbol.dispose or dispose().
+	 * Runs through ctx.waitUntil when available so the response is not delayed.
+	 * @private
+	 * @param {Object} state - Per-request state holding the request-scoped Resolver.
+	 * @param {Object} ctx - Execution context.
+	 * @returns {Promise<void>}
+	 */
+	async _disposeRequestScope(state, ctx) {
+		const resolver = state.requestResolver;
+		if (!resolver) return;
+		state.requestResolver = null;
+
+		const disposals = resolver.loaded().map(async ([key, value]) => {
+			if (value === null || value === undefined) return;
+			const provider = this._providers.get(key);
+			if (provider && typeof provider.dispose === 'function') return provider.dispose(value);
+			if (typeof Symbol.asyncDispose === 'symbol' && typeof value[Symbol.asyncDispose] === 'function') {
+				return value[Symbol.asyncDispose]();
+			}
+			if (typeof Symbol.dispose === 'symbol' && typeof value[Symbol.dispose] === 'function') return value[Symbol.dispose]();
+			if (typeof value.dispose === 'function') return value.dispose();
+		});
+		const settled = Promise.allSettled(disposals).then((results) => {
+			resolver.clear();
+			for (const result of results) {
+				if (result.status === 'rejected') console.error('Dependency dispose failed:', result.reason);
+			}
+		});
+
+		if (ctx && typeof ctx.waitUntil === 'function') ctx.waitUntil(settled);
+		else await settled;
+	}
+	/**
+	 * Reports route table problems:
+	 * - shadowed: routes that can never match because a route tried before them catches every request they would;
+	 * - duplicates: the same method, pattern, host and header constraints registered more than once;
+	 * - invalidWildcards: wildcard segments with a malformed or empty count spec, which are never indexed;
+	 * - hostOverlaps: routes with the same pattern whose host constraints can match the same hostname.
+	 * Shadowing is found by probing each route with sample paths, so routes with regex constraints are skipped.
+	 * @returns {{ok: boolean, shadowed: Array<Object>, duplicates: Array<Object>, invalidWildcards: Array<Object>, hostOverlaps: Array<Object>}}
+	 */
+	analyze() {
+		const report = { ok: true, shadowed: [], duplicates: [], invalidWildcards: [], hostOverlaps: [] };
+		for (const [method, routes] of this.routes.entries()) {
+			routes.forEach((route, index) => this._analyzeRoute(method, route, routes.slice(0, index), report));
+		}
+		report.ok = ['shadowed', 'duplicates', 'invalidWildcards', 'hostOverlaps'].every((key) => report[key].length === 0);
+		return report;
+	}
+	/**
+	 * Adds the problems of one route, compared with the routes registered before it, to a report.
+	 * @private
+	 * @param {string} method - HTTP method (lowercase).
+	 * @param {Object} route - Route record.
+	 * @param {Array<Object>} earlier - Routes of the same method registered before it.
+	 * @param {Object} report - Report being built by analyze().
+	 */
+	_analyzeRoute(method, route, earlier, report) {
+		const described = describeRoute(route);
+		for (const segment of findInvalidWildcards(route.path)) {
+			report.invalidWildcards.push({ ...described, segment });
+		}
+
+		const signature = routeSignature(route.path);
+		const constraints = predicateKey(route.findRequest);
+		const original = earlier.find((other) => routeSignature(other.path) === signature && predicateKey(other.findRequest) === constraints);
+		if (original) {
+			report.duplicates.push({ ...described, duplicateOf: describeRoute(original) });
+			return;
+		}
+
+		for (const other of earlier) {
+			const hosts = [other.findRequest && other.findRequest.hostname, described.host];
+			if (routeSignature(other.path) === signature && hostsOverlap(...hosts)) {
+				report.hostOverlaps.push({ ...described, overlapsWith: describeRoute(other) });
+			}
+		}
+
+		const shadowedBy = this._shadowingRoute(method, route);
+		if (shadowedBy) report.shadowed.push({ ...described, shadowedBy: describeRoute(shadowedBy) });
+	}
+	/**
+	 * Probes a route with sample requests it should match and returns the route that wins every one of them instead.
+	 * @private
+	 * @param {string} method - HTTP method (lowercase).
+	 * @param {Object} route - Route record.
+	 * @returns {Object|null} The shadowing route, or null if the route is reachable or cannot be probed.
+	 */
+	_shadowingRoute(method, route) {
+		const pathnames = probePaths(route.path);
+		if (!pathnames) return null;
+
+		const parts = probeRequestParts(route.findRequest);
+		if (!parts) return null;
+		const probeHeaders = new Headers(parts.headers);
+		probeHeaders.set('host', probeHost(route.findRequest && route.findRequest.hostname));
+		const search = new URLSearchParams(parts.query).toString();
+
+		let shadowedBy = null;
+		for (const pathname of pathnames) {
+			const url = `http://${probeHeaders.get('host')}${pathname}${search ? `?${search}` : ''}`;
+			let match;
+			try {
+				match = this.matchRoute(method, pathname, { method: method.toUpperCase(), url, headers: probeHeaders, cf: parts.cf });
+			} catch {
+				// A predicate function of another route rejected the probe; the route cannot be probed
+				return null;
+			}
+			if (!match || match.route === route) return null;
+			shadowedBy = shadowedBy || match.route;
+		}
+		return shadowedBy;
+	}
+	/**
+	 * In strict mode, rejects newly added routes that analyze() would report, and routes they make unreachable.
+	 * @private
+	 * @param {string} method - HTTP method (lowercase).
+	 * @param {Array<Object>} added - Routes just appended to this.routes.get(method).
+	 * @returns {string[]} Problems found; empty when not strict.
+	 */
+	_strictIssues(method, added) {
+		if (!this._strict) return [];
+		const routes = this.routes.get(method) || [];
+		const report = { shadowed: [], duplicates: [], invalidWildcards: [], hostOverlaps: [] };
+		for (const route of added) {
+			this._analyzeRoute(method, route, routes.slice(0, routes.indexOf(route)), report);
+		}
+		for (const route of routes) {
+			if (added.includes(route)) continue;
+			const shadowedBy = this._shadowingRoute(method, route);
+			if (shadowedBy && added.includes(shadowedBy)) report.shadowed.push({ ...describeRoute(route), shadowedBy: describeRoute(shadowedBy) });
+		}
+
+		const label = ({ method: routeMethod, path, host }) => `${routeMethod.toUpperCase()} ${path}${host ? ` (host ${host})` : ''}`;
+		return [
+			...report.invalidWildcards.map((issue) => `${label(issue)}: invalid wildcard "${issue.segment}"`),
+			...report.duplicates.map((issue) => `${label(issue)}: duplicate of ${label(issue.duplicateOf)}`),
+			...report.hostOverlaps.map((issue) => `${label(issue)}: host overlaps ${label(issue.overlapsWith)}`),
+			...report.shadowed.map((issue) => `${label(issue)}: shadowed by ${label(issue.shadowedBy)}`),
+		];
+	}
+	/**
+	 * Throws for strict-mode issues after restoring the previous route list of a method.
+	 * @private
+	 * @param {string} method - HTTP method (lowercase).
+	 * @param {Array<Object>} previous - Route list to restore.
+	 * @param {string[]} issues - Problems found by _strictIssues().
+	 * @throws Throws ERROR_ROUTE_CONFLICT listing the issues in error.issues.
+	 */
+	_rejectRoutes(method, previous, issues) {
+		this.routes.set(method, previous);
+		this._routeIndexes.delete(method);
+		const error = createError({
+			message: `Route conflict:\n- ${issues.join('\n- ')}`,
+			status: 500,
+			code: 'ERROR_ROUTE_CONFLICT',
+			exit_code: 27,
+			hint: 'Reorder, narrow or remove the conflicting routes, or disable strict mode.',
+		});
+		error.issues = issues;
+		throw error;
+	}
+	/**
+	 * Dispatches a synthetic request in-process, for tests and local tooling.
+	 * A fake ctx collects waitUntil() promises; await result.settle() to flush them.
+	 * @param {Object} [options] - { method, url, headers, body, json, cf, env, ctx }.
+	 * @returns {Promise<{status: number, statusText: string, headers: Headers, text: string, json: *, timing: Object, response: Response, ctx: Object, settle: Function}>}
+	 */
+	inject(options = {}) {
+		return injectRequest(this, options);
+	}
+	/**
+	 * Lists the HTTP methods under which a pathname matches a registered route.
+	 * Only the path and host count: a route whose header, query, cookie, content type or cf
+	 * predicates fail still exists for the Allow header and for CORS preflights.
+	 * HEAD is implied by GET, and OPTIONS is always answered when anything matches.
+	 * @param {string} pathname - Request pathname.
+	 * @param {Request} request - Original request, used for host constraints.
+	 * @returns {string[]} Uppercase method names suitable for an Allow header.
+	 */
+	allowedMethods(pathname, request) {
+		const allowed = new Set();
+		for (const method of this.routes.keys()) {
+			if (this._findRoute(method, pathname, request, null)) {
+				allowed.add(method.toUpperCase());
+			}
+		}
+		if (allowed.size === 0) return [];
+		if (allowed.has('GET')) allowed.add('HEAD');
+		allowed.add('OPTIONS');
+		return [...allowed];
+	}
+	/**
+	 * Builds a synthetic match answering OPTIONS with a 204 and an Allow header.
+	 * @private
+	 * @param {string[]} allowed - Allowed methods for the path.
+	 * @returns {Object} Match record compatible with matchRoute().
+	 */
+	_automaticOptionsMatch(allowed) {
+		return {
+			handler: (req, res) => {
+				res.setStatus(204).setHeader('Allow', allowed.join(', ')).end();
+			},
+			params: {},
+			segments: {},
+			wildcards: [],
+			middlewares: [],
+			options: {},
+			route: null,
+		};
+	}
+	/**
+	 * Adds a middleware function or middleware object with a handler method.
+	 * @param {Function|Object} middleware - Middleware function or object with handler().
+	 * @returns {RouteDispatcher} Returns self for chaining.
+	 * @throws Throws if the middleware is invalid.
+	 */
+	use(middleware) {
+		this.middlewares.push(this._normalizeMiddleware(middleware));
+		return this;
+	}
+	/**
+	 * Turns a middleware function or object with handler() into a middleware function.
+	 * @private
+	 * @param {Function|Object} middleware
+	 * @returns {Function}
+	 * @throws Throws if the middleware is invalid.
+	 */
+	_normalizeMiddleware(middleware) {
+		if (typeof middleware === 'function') return middleware;
+		if (middleware && typeof middleware.handler === 'function') {
+			const fn = middleware.handler();
+			this._middlewareSources.set(fn, middleware);
+			return fn;
+		}
+		throw createError({
+			message: '.use() expects a function or an object with handler().',
+			status: 400,
+			code: 'ERROR_INVALID_ARGUMENTS',
+			exit_code: 1,
+			hint: 'Pass either a middleware function or an object with handler().',
+		});
+	}
+	/**
+	 * Returns the flattened middleware chain a route runs through, in order:
+	 * global middleware, then mount and group scopes from outermost to innermost, then route middleware.
+	 * @param {string|Object} method - HTTP method, or a route record (e.g. match.route).
+	 * @param {string} [path] - Registered route pattern when a method is given.
+	 * @returns {Function[]|null} Middleware functions, or null if no such route is registered.
+	 */
+	middlewareChain(method, path) {
+		const route = typeof method === 'object' ? method : (this.routes.get(method.toLowerCase()) || []).find((r) => r.path === path);
+		if (!route) return null;
+		const scoped = (route.scopes || []).flat();
+		const routeMiddlewares = Array.isArray(route.middlewares) ? route.middlewares : [];
+		return [...this.middlewares, ...scoped, ...routeMiddlewares];
+	}
+	/**
+	 * Renders an error as an RFC 9457 application/problem+json Response, using the error catalogue
+	 * for type and title. Works whether or not problemDetails mode is enabled.
+	 * @param {Error|Object} err - Error with message, and optionally status, code, hint, issues and extensions.
+	 * @param {Request|RequestParser} [request] - Request whose path becomes the problem instance.
+	 * @param {Object<string, string>} [headers] - Extra response headers.
+	 * @returns {Response}
+	 */
+	problem(err, request = null, headers = {}) {
+		const options = { headers };
+		if (this.problemTypeBase) options.typeBase = this.problemTypeBase;
+		if (request && request.url) options.instance = new URL(request.url).pathname;
+		return problemResponse(err, options);
+	}
 	/**
 	 * Sets a global error handler function.
 	 * @param {Function} fn - Error handler accepting (error, req, res, env, ctx).
@@ -595,15 +1647,84 @@ class RouteDispatcher {
 		this._errorHandler = fn;
 		return this;
 	}
+	/**
+	 * Registers a lifecycle hook. Hooks of the same name run in registration order.
+	 * - onRequest(request, env, ctx): before matching; return a Response to skip routing.
+	 * - onRoute(match, req, env, ctx): after a route matched, before validation and middleware; return a Response to skip the handler.
+	 * - onResponse(response, request, env, ctx): after the final Response is assembled; return a Response to replace it.
+	 * - onFinally(request, response, env, ctx): always last, after the response is returned when ctx.waitUntil is available.
+	 * @param {'onRequest'|'onRoute'|'onResponse'|'onFinally'} name - Hook name.
+	 * @param {Function} fn - Hook function, may be async.
+	 * @returns {RouteDispatcher} Returns self for chaining.
+	 * @throws Throws on an unknown hook name or a non-function hook.
+	 */
+	addHook(name, fn) {
+		if (!Object.prototype.hasOwnProperty.call(this._hooks, name)) {
+			throw createError({
+				message: `Unknown lifecycle hook "${name}".`,
+				status: 400,
+				code: 'ERROR_UNKNOWN_HOOK',
+				exit_code: 22,
+				hint: `Use one of: ${Object.keys(this._hooks).join(', ')}.`,
+			});
+		}
+		if (typeof fn !== 'function') {
+			throw createError({
+				message: `${name} hook must be a function.`,
+				status: 400,
+				code: 'ERROR_INVALID_ARGUMENTS',
+				exit_code: 1,
+				hint: 'Pass a function, optionally async.',
+			});
+		}
+		this._hooks[name].push(fn);
+		return this;
+	}
+	/**
+	 * Registers a hook run before route matching.
+	 * @param {Function} fn - Hook accepting (request, env, ctx); may return a Response.
+	 * @returns {RouteDispatcher} Returns self for chaining.
+	 */
+	onRequest(fn) {
+		return this.addHook('onRequest', fn);
+	}
+	/**
+	 * Registers a hook run once a route has matched.
+	 * @param {Function} fn - Hook accepting (match, req, env, ctx); may return a Response.
+	 * @returns {RouteDispatcher} Returns self for chaining.
+	 */
+	onRoute(fn) {
+		return this.addHook('onRoute', fn);
+	}
+	/**
+	 * Registers a hook run on the final Response, security headers included.
+	 * @param {Function} fn - Hook accepting (response, request, env, ctx); may return a replacement Response.
+	 * @returns {RouteDispatcher} Returns self for chaining.
+	 */
+	onResponse(fn) {
+		return this.addHook('onResponse', fn);
+	}
+	/**
+	 * Registers a hook run after the response is produced, even when respond() throws.
+	 * With a ctx it runs through ctx.waitUntil, so slow logging or metrics do not delay the response.
+	 * @param {Function} fn - Hook accepting (request, response, env, ctx).
+	 * @returns {RouteDispatcher} Returns self for chaining.
+	 */
+	onFinally(fn) {
+		return this.addHook('onFinally', fn);
+	}
 	/**
 	 * Matches a registered route for the given method and pathname.
-	 * Supports named parameters, wildcards, and forbidden values.
+	 * Supports named parameters, typed and optional params, wildcards, and forbidden values.
+	 * Static segments take precedence over params, params over counted wildcards,
+	 * and counted wildcards over catch-alls.
 	 * @param {string} method - HTTP method (lowercase).
 	 * @param {string} pathname - Request pathname.
-	 * @returns {Object|null} Matched route info with handler, params, segments, wildcards or null if no match.
+	 * @param {Request} request - Original request, used for host and findRequest constraints (headers, query, cookies, content type, cf, predicates).
+	 * @returns {Object|null} Matched route info with handler, params, hostParams, segments, wildcards or null if no match.
 	 * @throws Throws on invalid argument types.
 	 */
-	matchRoute(method, pathname, { headers: orignalHeaders }) {
+	matchRoute(method, pathname, request) {
 		if (typeof method !== 'string' || typeof pathname !== 'string') {
 			throw createError({
 				message: 'Invalid method/pathname arguments: both must be strings.',
@@ -614,273 +1735,147 @@ class RouteDispatcher {
 			});
 		}
 
-		const candidates = this.routes.get(method) || [];
+		return this._findRoute(method, pathname, request, 'matchRequest');
+	}
+	/**
+	 * Looks up a route by method, pathname and host, checking the other request predicates with
+	 * the named matcher of each route entry.
+	 * @private
+	 * @param {string} method - HTTP method (lowercase).
+	 * @param {string} pathname - Request pathname.
+	 * @param {Request} request - Original request.
+	 * @param {'matchRequest'|'matchWithoutContentType'|null} predicates - Entry matcher to apply, or null to ignore every predicate but the host.
+	 * @returns {Object|null} See matchRoute().
+	 */
+	_findRoute(method, pathname, request, predicates) {
 		const pathSegments = pathname.split('/').filter(Boolean);
-		const reqHostname = orignalHeaders.get('host')?.toLowerCase();
-
-		for (const { path, handler, middlewares, findRequest = {} } of candidates) {
-			let reqPropsMatached = true;
-			if (findRequest) {
-				const { hostname } = findRequest;
-
-				if (hostname && !(hostname === '*')) {
-					if (hostname.startsWith('*')) {
-						// support for *.domain.com
-						const suffix = hostname.slice(1); // remove '*'
-						if (!reqHostname.endsWith(suffix)) {
-							continue;
-						}
-					} else {
-						if (reqHostname !== hostname) {
-							continue;
-						}
-					}
-				}
-
-				for (const [key, value] of Object.entries(findRequest)) {
-					if (key !== 'hostname' && orignalHeaders.has(key)) {
-						if (value !== orignalHeaders.get(key)) {
-							reqPropsMatached = false;
-						}
-					}
-				}
-			}
-			if (!reqPropsMatached) {
-				continue;
-			}
-			const patternParts = path.split('/').filter(Boolean);
-
-			let params = {};
-			let segmentsMap = {};
-			let j = 0; // index in pathSegments
-			let i = 0; // index in patternParts
-			let matchFailed = false;
-			while (i < patternParts.length) {
-				const part = patternParts[i];
-
-				// Literal
-				if (!part.startsWith(':') && !part.startsWith('*')) {
-					if (pathSegments[j] !== part) {
-						matchFailed = true;
-						break;
-					}
-					i++;
-					j++;
-
-					continue;
-				}
-
-				// Named parameter with optional forbidden values
-				if (part.startsWith(':')) {
-					const [paramName, ...forbidden] = part.slice(1).split('!');
-
-					if (!pathSegments[j]) {
-						matchFailed = true;
-						break;
-					}
-
-					const segmentValue = pathSegments[j];
-
-					if (forbidden.includes(segmentValue)) {
-						matchFailed = true;
-						break;
-					}
-
-					params[paramName] = segmentValue;
-					i++;
-					j++;
-					continue;
-				}
-
-				// Wildcard
-				if (part.startsWith('*')) {
-					// Special case: plain "*"
-					if (part === '*') {
-						const remaining = pathSegments.slice(j);
-						// Optionally: segmentsMap['*'] = remaining;
-						j = pathSegments.length;
-						i = patternParts.length;
-						matchFailed = false;
-						break;
-					}
-					const wildcardMatch = part.match(/^\*(\d+(?:-\d+)?|)(?::([a-zA-Z_][a-zA-Z0-9_]*)?)$/);
-					if (!wildcardMatch) {
-						matchFailed = true;
-						break;
-					}
-
-					const countSpec = wildcardMatch[1];
-					const wildcardName = wildcardMatch[2];
-
-					// Special case: plain "*" (no min/max) = match rest
-					if (countSpec === '') {
-						const remainingSegments = pathSegments.slice(j);
-						if (wildcardName) {
-							segmentsMap[wildcardName] = remainingSegments;
-						}
-
-						// Since * with no count consumes all remaining segments, stop processing
-						j = pathSegments.length;
-						i = patternParts.length;
-						break;
-					}
-
-					// Parse min/max count
-					let minCount = 0;
-					let maxCount = Infinity;
-					if (countSpec.includes('-')) {
-						const [minStr, maxStr] = countSpec.split('-');
-						minCount = parseInt(minStr, 10);
-						maxCount = parseInt(maxStr, 10);
-					} else {
-						maxCount = parseInt(countSpec, 10);
-					}
-
-					let matched = false;
-					// Try all possible counts within range
-					for (let count = minCount; count <= maxCount; count++) {
-						const consumed = pathSegments.slice(j, j + count);
-						const remainingPattern = patternParts.slice(i + 1);
-						const remainingSegments = pathSegments.slice(j + count);
-
-						// Recursively match remaining pattern to remaining segments
-						const submatch = this._matchRemaining(remainingPattern, remainingSegments);
-						if (submatch.success) {
-							if (wildcardName) {
-								segmentsMap[wildcardName] = consumed;
-							}
-							// Merge submatch results
-							params = { ...params, ...submatch.params };
-							segmentsMap = { ...segmentsMap, ...submatch.segments };
-							j += count + submatch.jIncrement;
-							i = patternParts.length; // end loop
-							matched = true;
-
-							break;
-						}
-					}
-
-					if (!matched) {
-						matchFailed = true;
-						break;
-					}
-				}
-			}
+		const reqHostname = normalizeHost(request.headers.get('host'));
+
+		let hostParams = {};
+		const found = this._getRouteIndex(method).lookup(pathSegments, (entry) => {
+			const captured = entry.matchHost(reqHostname);
+			if (!captured || (predicates && !entry[predicates](request))) return false;
+			hostParams = captured;
+			return true;
+		});
+		if (!found) return null;
 
-			if (!matchFailed && j === pathSegments.length) {
-				return { handler, params, segments: segmentsMap, wildcards: [], middlewares };
-			}
+		const { route, params, segments } = found;
+		return { handler: route.handler, params, hostParams, segments, wildcards: [], middlewares: route.middlewares, options: route.options, route };
+	}
+	/**
+	 * Returns the route trie for a method, rebuilding it when the route list was
+	 * swapped (associate, mount, global registry) and syncing newly appended routes.
+	 * @private
+	 * @param {string} method - HTTP method (lowercase).
+	 * @returns {RouteTrie}
+	 */
+	_getRouteIndex(method) {
+		const routes = this.routes.get(method) || [];
+		let index = this._routeIndexes.get(method);
+		if (!index || index.source !== routes) {
+			index = new RouteTrie(routes);
+			this._routeIndexes.set(method, index);
+		}
+		return index.sync();
+	}
+	/**
+	 * Finds the first registered route carrying the given options.name.
+	 * @param {string} name - Route name.
+	 * @returns {Object|null} Route record or null.
+	 */
+	findNamedRoute(name) {
+		for (const routes of this.routes.values()) {
+			const route = routes.find((r) => r.options && r.options.name === name);
+			if (route) return route;
 		}
-
 		return null;
 	}
-	_matchRemaining(patternParts, pathSegments) {
-		let params = {};
-		let segmentsMap = {};
-		let i = 0;
-		let j = 0;
-
-		while (i < patternParts.length) {
-			const part = patternParts[i];
+	/**
+	 * Builds a URL path for a named route from its registered pattern.
+	 * Group and mount prefixes are part of the stored pattern, so they are honoured.
+	 * @param {string} name - Route name given in the route options.
+	 * @param {Object} [params={}] - Values for ":param" segments and named wildcards (arrays).
+	 * @param {Object} [query={}] - Query parameters; array values are repeated and objects use bracket keys.
+	 * @returns {string} Path with optional query string.
+	 * @throws Throws if the route is unknown or params are missing, forbidden or out of range.
+	 */
+	urlFor(name, params = {}, query = {}) {
+		const route = this.findNamedRoute(name);
+		if (!route) {
+			throw createError({
+				message: `No route registered with name "${name}".`,
+				status: 500,
+				code: 'ERROR_ROUTE_NAME_NOT_FOUND',
+				exit_code: 16,
+				hint: 'Pass { name } in the route options when registering it.',
+			});
+		}
 
-			// Literal
-			if (!part.startsWith(':') && !part.startsWith('*')) {
-				if (pathSegments[j] !== part) {
-					return { success: false };
-				}
-				i++;
-				j++;
+		const parts = [];
+		for (const token of compilePattern(route.path)) {
+			if (token.type === 'literal') {
+				parts.push(token.raw);
 				continue;
 			}
-
-			if (part.startsWith(':')) {
-				const [paramName, ...forbidden] = part.slice(1).split('!');
-
-				if (!pathSegments[j]) {
-					return { success: false };
-				}
-
-				const segmentValue = pathSegments[j];
-
-				if (forbidden.includes(segmentValue)) {
-					return { success: false };
-				}
-
-				params[paramName] = segmentValue;
-				i++;
-				j++;
-				continue;
+			if (token.type === 'invalid') {
+				throw createError({
+					message: `Route "${name}" has an invalid wildcard segment "${token.raw}".`,
+					status: 500,
+					code: 'ERROR_INVALID_ROUTE_PATTERN',
+					exit_code: 17,
+				});
 			}
 
-			// Wildcard in nested match (catch-all)
-			if (part.startsWith('*')) {
-				if (part === '*') {
-					const remaining = pathSegments.slice(j);
-					// Optionally: segmentsMap['*'] = remaining;
-					matchFailed = false;
-					j = pathSegments.length;
-					i = patternParts.length;
-					break;
-				}
-				const wildcardMatch = part.match(/^\*(\d+(?:-\d+)?|)(?::([a-zA-Z_][a-zA-Z0-9_]*)?)$/);
-				if (!wildcardMatch) {
-					return { success: false };
-				}
-				const countSpec = wildcardMatch[1];
-				const wildcardName = wildcardMatch[2];
-
-				if (countSpec === '') {
-					// Catch-all wildcard
-					const remaining = pathSegments.slice(j);
-					if (wildcardName) {
-						segmentsMap[wildcardName] = remaining;
-					}
-					return {
-						success: true,
-						params,
-						segments: segmentsMap,
-						jIncrement: remaining.length,
-					};
+			const value = token.name ? params[token.name] : undefined;
+			if (token.type === 'param') {
+				const missing = value === undefined || value === null || value === '';
+				if (missing && token.optional) continue;
+				if (missing) {
+					throw createError({
+						message: `Missing value for param "${token.name}" of route "${name}".`,
+						status: 500,
+						code: 'ERROR_MISSING_ROUTE_PARAM',
+						exit_code: 18,
+					});
 				}
-
-				// Parse min/max
-				let minCount = 0;
-				let maxCount = Infinity;
-				if (countSpec.includes('-')) {
-					const [minStr, maxStr] = countSpec.split('-');
-					minCount = parseInt(minStr, 10);
-					maxCount = parseInt(maxStr, 10);
-				} else {
-					maxCount = parseInt(countSpec, 10);
+				if (token.forbidden.includes(String(value))) {
+					throw createError({
+						message: `Value "${value}" is forbidden for param "${token.name}" of route "${name}".`,
+						status: 500,
+						code: 'ERROR_FORBIDDEN_ROUTE_PARAM',
+						exit_code: 19,
+					});
 				}
-
-				// Try all counts
-				for (let count = minCount; count <= maxCount; count++) {
-					const consumed = pathSegments.slice(j, j + count);
-					const subRemaining = pathSegments.slice(j + count);
-					const subPattern = patternParts.slice(i + 1);
-					const submatch = this._matchRemaining(subPattern, subRemaining);
-					if (submatch.success) {
-						if (wildcardName) {
-							segmentsMap[wildcardName] = consumed;
-						}
-						return {
-							success: true,
-							params: { ...params, ...submatch.params },
-							segments: { ...segmentsMap, ...submatch.segments },
-							jIncrement: count + (submatch.jIncrement || 0),
-						};
-					}
+				if (token.constraint && !token.constraint.test(String(value))) {
+					throw createError({
+						message: `Value "${value}" does not satisfy <${token.constraint.spec}> for param "${token.name}" of route "${name}".`,
+						status: 500,
+						code: 'ERROR_INVALID_ROUTE_PARAM',
+						exit_code: 21,
+					});
 				}
+				parts.push(encodeURIComponent(String(value)));
+				continue;
+			}
 
-				return { success: false };
+			// Wildcards expand from arrays
+			const values = value === undefined || value === null ? [] : Array.isArray(value) ? value : [value];
+			if (token.type === 'wildcard' && (values.length < token.min || values.length > token.max)) {
+				throw createError({
+					message: `Wildcard "${token.raw}" of route "${name}" expects ${token.min} to ${token.max} segments, got ${values.length}.`,
+					status: 500,
+					code: 'ERROR_WILDCARD_OUT_OF_RANGE',
+					exit_code: 20,
+				});
 			}
+			parts.push(...values.map((v) => encodeURIComponent(String(v))));
 		}
 
-		if (j === pathSegments.length) {
-			return { success: true, params, segments: segmentsMap, jIncrement: 0 };
-		}
-		return { success: false };
+		let url = '/' + parts.join('/');
+		const queryString = stringifyQuery(query);
+		if (queryString) url += '?' + queryString;
+		return url;
 	}
 	/**
 	 * Composes an array of middleware functions into a single callable chain.
@@ -949,6 +1944,8 @@ class RouteDispatcher {
 	 *   - an array of middleware functions,
 	 *   - or an options object (e.g., { validate }).
 	 * @param {Function} [maybeHandler] - The handler function if predicate is middlewares or options.
+	 * @param {Object} [findRequest] - Request constraints: hostname, headers, query, cookies, contentType, cf and match;
+	 * see compileRequestPredicates() in cloudflare-workers-compatible-request-predicates.
 	 * @returns {RouteDispatcher} Self for chaining.
 	 * @throws {TypeError} Throws if path is invalid.
 	 */
@@ -1064,19 +2061,30 @@ class RouteDispatcher {
 			options = {};
 		if (Array.isArray(predicate)) {
 			middlewares = predicate.map((middleware) => {
-				if ('function' === typeof middleware.handler) return middleware.handler();
+				if ('function' === typeof middleware.handler) return this._normalizeMiddleware(middleware);
 				return middleware;
 			});
 			handler = maybeHandler;
 		} else if (typeof predicate === 'object' && predicate !== null && !Array.isArray(predicate)) {
-			options = predicate;
+			// Options may carry their own middleware list: { validate, middlewares: [...] }
+			const { middlewares: optionMiddlewares, ...rest } = predicate;
+			options = Array.isArray(optionMiddlewares) ? rest : predicate;
+			if (Array.isArray(optionMiddlewares)) middlewares = optionMiddlewares.map((middleware) => this._normalizeMiddleware(middleware));
 			handler = maybeHandler;
 		} else {
 			handler = predicate;
 		}
 
-		const route = { path, handler, middlewares, options, method, findRequest };
+		// A route's own timeout wins over the innermost group declaring one
+		const groupOptions = [...this._groupOptionsStack].reverse().find((group) => typeof group.timeout === 'number');
+		const timeout = typeof options.timeout === 'number' ? options.timeout : groupOptions ? groupOptions.timeout : null;
+
+		const route = { path, handler, middlewares, options, method, findRequest, scopes: [...this._scopeStack], timeout };
 		this.routes.get(method).push(route);
+		this._getRouteIndex(method);
+
+		const issues = this._strictIssues(method, [route]);
+		if (issues.length > 0) this._rejectRoutes(method, this.routes.get(method).slice(0, -1), issues);
 
 		return this;
 	}
@@ -0,0 +1,416 @@
+import { compileRequestPredicates } from './cloudflare-workers-compatible-request-predicates';
+
+/**
+ * Matches a counted wildcard token such as "*", "*:rest", "*3:name" or "*2-4:name".
+ * @type {RegExp}
+ */
+const WILDCARD_PATTERN = /^\*(\d+(?:-\d+)?|)(?::([a-zA-Z_][a-zA-Z0-9_]*)?)$/;
+
+/**
+ * Built-in param types usable as ":name<type>".
+ * Each type validates the raw segment, coerces it for req.params and describes it as JSON Schema.
+ * @type {Object<string, {test: RegExp, coerce: (value: string) => *, schema: Object}>}
+ */
+const PARAM_TYPES = {
+	int: { test: /^-?\d+$/, coerce: (value) => parseInt(value, 10), schema: { type: 'integer' } },
+	number: { test: /^-?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?$/i, coerce: Number, schema: { type: 'number' } },
+	bool: { test: /^(?:true|false|1|0)$/, coerce: (value) => value === 'true' || value === '1', schema: { type: 'boolean' } },
+	uuid: {
+		test: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+		coerce: (value) => value,
+		schema: { type: 'string', format: 'uuid' },
+	},
+	alpha: { test: /^[a-zA-Z]+$/, coerce: (value) => value, schema: { type: 'string', pattern: '^[a-zA-Z]+$' } },
+	alnum: { test: /^[a-zA-Z0-9]+$/, coerce: (value) => value, schema: { type: 'string', pattern: '^[a-zA-Z0-9]+$' } },
+};
+PARAM_TYPES.float = PARAM_TYPES.number;
+PARAM_TYPES.boolean = PARAM_TYPES.bool;
+
+/**
+ * Compiles the inside of a "<...>" param constraint.
+ * @param {string} spec - e.g. "int", "uuid" or "regex(^[a-z-]+$)".
+ * @returns {{spec: string, test: (value: string) => boolean, coerce: (value: string) => *, schema: Object}|null} Null if the spec is unknown or malformed.
+ */
+function compileConstraint(spec) {
+	const regexMatch = spec.match(/^regex\((.*)\)$/);
+	if (regexMatch) {
+		let regex;
+		try {
+			regex = new RegExp(regexMatch[1]);
+		} catch {
+			return null;
+		}
+		return { spec, test: (value) => regex.test(value), coerce: (value) => value, schema: { type: 'string', pattern: regexMatch[1] } };
+	}
+	const type = PARAM_TYPES[spec];
+	if (!type) return null;
+	return { spec, test: (value) => type.test.test(value), coerce: type.coerce, schema: type.schema };
+}
+
+/**
+ * Compiles a ":param" segment: ":name", ":name!a!b", ":name<type>", ":name<type>!a" and a trailing "?" for optional.
+ * @param {string} part - A pattern segment starting with ":".
+ * @returns {Object} Param token, or an invalid token if the constraint cannot be compiled.
+ */
+function compileParam(part) {
+	let rest = part.slice(1);
+	let optional = false;
+	if (rest.endsWith('?')) {
+		optional = true;
+		rest = rest.slice(0, -1);
+	}
+
+	const open = rest.indexOf('<');
+	const bang = rest.indexOf('!');
+	if (open === -1 || (bang !== -1 && bang < open)) {
+		const [name, ...forbidden] = rest.split('!');
+		return { type: 'param', raw: part, name, forbidden, constraint: null, optional };
+	}
+
+	const close = rest.lastIndexOf('>');
+	const constraint = close > open ? compileConstraint(rest.slice(open + 1, close)) : null;
+	const tail = rest.slice(close + 1);
+	if (!constraint || (tail && !tail.startsWith('!'))) return { type: 'invalid', raw: part };
+
+	return {
+		type: 'param',
+		raw: part,
+		name: rest.slice(0, open),
+		forbidden: tail ? tail.slice(1).split('!') : [],
+		constraint,
+		optional,
+	};
+}
+
+/**
+ * Compiles a single path segment of a route pattern into a token.
+ * @param {string} part - A pattern segment (e.g. "users", ":id!new", ":id<int>?", "*2-4:rest").
+ * @returns {{type: string, raw: string, value?: string, name?: string, forbidden?: string[], constraint?: Object, optional?: boolean, min?: number, max?: number}}
+ */
+function compileSegment(part) {
+	if (part.startsWith(':')) return compileParam(part);
+
+	if (part.startsWith('*')) {
+		if (part === '*') return { type: 'catchAll', raw: part, name: null };
+
+		const wildcardMatch = part.match(WILDCARD_PATTERN);
+		if (!wildcardMatch) return { type: 'invalid', raw: part };
+
+		const countSpec = wildcardMatch[1];
+		const name = wildcardMatch[2] || null;
+		if (countSpec === '') return { type: 'catchAll', raw: part, name };
+
+		let min = 0;
+		let max;
+		if (countSpec.includes('-')) {
+			const [minStr, maxStr] = countSpec.split('-');
+			min = parseInt(minStr, 10);
+			max = parseInt(maxStr, 10);
+		} else {
+			max = parseInt(countSpec, 10);
+		}
+		return { type: 'wildcard', raw: part, name, min, max };
+	}
+
+	return { type: 'literal', raw: part, value: part };
+}
+
+/**
+ * Compiles a route pattern into a list of tokens.
+ * A catch-all wildcard consumes the rest of the path, so anything after it is dropped.
+ * @param {string} path - Route pattern (e.g. "/users/:id/*:rest").
+ * @returns {Array<Object>} Compiled tokens.
+ */
+function compilePattern(path) {
+	const tokens = [];
+	for (const part of path.split('/').filter(Boolean)) {
+		const token = compileSegment(part);
+		tokens.push(token);
+		if (token.type === 'catchAll') break;
+	}
+	return tokens;
+}
+
+/**
+ * Expands optional params into every token sequence they allow, with and without each optional segment.
+ * @param {Array<Object>} tokens - Compiled tokens.
+ * @returns {Array<Array<Object>>}
+ */
+function expandOptionalTokens(tokens) {
+	let variants = [[]];
+	for (const token of tokens) {
+		const withToken = variants.map((variant) => [...variant, token]);
+		variants = token.optional ? [...withToken, ...variants] : withToken;
+	}
+	return variants;
+}
+
+/**
+ * Matches a whole-label host param (":tenant") or an embedded one ("{region}", "api-{region}").
+ * @type {RegExp}
+ */
+const HOST_PARAM_PATTERN = /^:([a-zA-Z_][a-zA-Z0-9_]*)$|\{([a-zA-Z_][a-zA-Z0-9_]*)\}/g;
+
+/**
+ * Converts an internationalised hostname or label to its ASCII (punycode) form.
+ * ASCII input is returned unchanged, so numeric labels are not mistaken for IPv4 addresses.
+ * @param {string} host
+ * @returns {string}
+ */
+function toASCIIHost(host) {
+	if (!/[^\x00-\x7f]/.test(host)) return host;
+	try {
+		return new URL(`http://${host}`).hostname;
+	} catch {
+		return host;
+	}
+}
+
+/**
+ * Normalises a Host header or host constraint for comparison: lowercase, without port
+ * or trailing dot, internationalised names in punycode. IPv6 literals keep their brackets.
+ * @param {string} host - e.g. "API.Example.com:8443" or "bücher.example".
+ * @returns {string} e.g. "api.example.com" or "xn--bcher-kva.example".
+ */
+function normalizeHost(host) {
+	if (!host) return '';
+	const [, name] = host.trim().match(/^(\[[^\]]*\]|.*?)(?::\d*)?$/);
+	return toASCIIHost(name.toLowerCase().replace(/\.$/, ''));
+}
+
+/**
+ * Escapes a string for use inside a RegExp.
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeRegExp(value) {
+	return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Compiles a host constraint into a matcher returning the captured host params.
+ * Supports exact hostnames, "*", a leading "*." suffix wildcard, whole-label params
+ * (":tenant.api.example.com") and embedded params ("{region}.{env}.example.com", "api-{region}.example.com").
+ * Both sides are compared port-insensitively and in punycode, see normalizeHost().
+ * @param {string} [hostname] - Host constraint from the route's findRequest.
+ * @returns {(reqHostname: string) => (Object<string, string>|null)} Captured params ({} without params), or null when the host does not match.
+ */
+function compileHostConstraint(hostname) {
+	if (!hostname || hostname === '*') return () => ({});
+
+	const wildcard = hostname.startsWith('*');
+	// Labels holding params cannot be punycoded as a whole host, so convert label by label
+	const labels = normalizeHost(wildcard ? hostname.slice(1) : hostname)
+		.split('.')
+		.map((label) => (label.match(HOST_PARAM_PATTERN) ? label : toASCIIHost(label)));
+	const names = [];
+	const source = labels
+		.map((label) => {
+			let labelSource = '';
+			let last = 0;
+			for (const match of label.matchAll(HOST_PARAM_PATTERN)) {
+				labelSource += escapeRegExp(label.slice(last, match.index)) + '([^.]+?)';
+				names.push(match[1] || match[2]);
+				last = match.index + match[0].length;
+			}
+			return labelSource + escapeRegExp(label.slice(last));
+		})
+		.join('\\.');
+
+	if (names.length === 0) {
+		const host = labels.join('.');
+		// support for *.domain.com
+		if (wildcard) return (reqHostname) => (reqHostname.endsWith(host) ? {} : null);
+		return (reqHostname) => (reqHostname === host ? {} : null);
+	}
+
+	const regex = new RegExp(`^${wildcard ? '.*' : ''}${source}$`);
+	return (reqHostname) => {
+		const match = regex.exec(reqHostname);
+		if (!match) return null;
+		const params = {};
+		names.forEach((name, index) => {
+			params[name] = match[index + 1];
+		});
+		return params;
+	};
+}
+
+/**
+ * A node of the route trie. Edges are kept per token kind so that lookups
+ * can try them in a fixed priority order: literal, param, counted wildcard, catch-all.
+ */
+class RouteNode {
+	constructor() {
+		/** @type {Map<string, RouteNode>} */
+		this.literals = new Map();
+		/** @type {Map<string, {token: Object, node: RouteNode}>} */
+		this.params = new Map();
+		/** @type {Map<string, {token: Object, node: RouteNode}>} */
+		this.wildcards = new Map();
+		/** @type {Map<string, {token: Object, node: RouteNode}>} */
+		this.catchAlls = new Map();
+		/** @type {Array<{route: Object, matchHost: Function, matchRequest: Function, matchWithoutContentType: Function}>} */
+		this.routes = [];
+	}
+
+	/**
+	 * Returns the child for a token, creating it if needed.
+	 * @param {Object} token
+	 * @returns {RouteNode}
+	 */
+	child(token) {
+		if (token.type === 'literal') {
+			if (!this.literals.has(token.value)) this.literals.set(token.value, new RouteNode());
+			return this.literals.get(token.value);
+		}
+		const edges = token.type === 'param' ? this.params : token.type === 'wildcard' ? this.wildcards : this.catchAlls;
+		if (!edges.has(token.raw)) {
+			edges.set(token.raw, { token, node: new RouteNode() });
+			// Constrained params are tried before unconstrained ones
+			if (token.type === 'param' && token.constraint) {
+				this.params = new Map([...this.params].sort(([, a], [, b]) => Number(!a.token.constraint) - Number(!b.token.constraint)));
+			}
+		}
+		return edges.get(token.raw).node;
+	}
+}
+
+/**
+ * Segment trie indexing the routes registered for a single HTTP method.
+ * Routes are compiled once on insertion; lookups walk the trie by path depth
+ * instead of scanning every registered route.
+ */
+class RouteTrie {
+	/**
+	 * @param {Array<Object>} [source=[]] - The route list this trie indexes.
+	 */
+	constructor(source = []) {
+		/** @type {Array<Object>} */
+		this.source = source;
+		/** @type {number} Number of routes from source already inserted. */
+		this.size = 0;
+		/** @private */
+		this._root = new RouteNode();
+		this.sync();
+	}
+
+	/**
+	 * Inserts any routes appended to the source list since the last sync.
+	 * Rebuilds from scratch if the source list shrank.
+	 * @returns {RouteTrie}
+	 */
+	sync() {
+		if (this.source.length < this.size) {
+			this._root = new RouteNode();
+			this.size = 0;
+		}
+		while (this.size < this.source.length) {
+			this.insert(this.source[this.size]);
+			this.size++;
+		}
+		return this;
+	}
+
+	/**
+	 * Compiles and inserts a route. Routes with invalid wildcard or constraint tokens
+	 * can never match and are not indexed. Optional params insert one branch per variant.
+	 * @param {Object} route - Route record with path and findRequest.
+	 * @returns {boolean} Whether the route was indexed.
+	 */
+	insert(route) {
+		const tokens = compilePattern(route.path);
+		if (tokens.some((token) => token.type === 'invalid')) return false;
+
+		const entry = {
+			route,
+			matchHost: compileHostConstraint(route.findRequest && route.findRequest.hostname),
+			matchRequest: compileRequestPredicates(route.findRequest),
+			// Tells a request with the wrong body type (415) from one no route accepts (404)
+			matchWithoutContentType: compileRequestPredicates(route.findRequest && { ...route.findRequest, contentType: undefined }),
+		};
+		for (const variant of expandOptionalTokens(tokens)) {
+			let node = this._root;
+			for (const token of variant) {
+				node = node.child(token);
+			}
+			if (!node.routes.includes(entry)) node.routes.push(entry);
+		}
+		return true;
+	}
+
+	/**
+	 * Finds the best route for the given path segments.
+	 * @param {string[]} segments - Non-empty path segments.
+	 * @param {(entry: {route: Object, matchHost: Function, matchRequest: Function, matchWithoutContentType: Function}) => boolean} accept - Decides whether a candidate route applies to the request.
+	 * @returns {{route: Object, params: Object, segments: Object}|null}
+	 */
+	lookup(segments, accept) {
+		const params = [];
+		const captures = [];
+		const route = this._walk(this._root, segments, 0, params, captures, accept);
+		if (!route) return null;
+		return { route, params: Object.fromEntries(params), segments: Object.fromEntries(captures) };
+	}
+
+	/** @private */
+	_walk(node, segments, index, params, captures, accept) {
+		if (index === segments.length) {
+			const entry = node.routes.find(accept);
+			if (entry) return entry.route;
+		}
+
+		if (index < segments.length) {
+			const segment = segments[index];
+
+			const literal = node.literals.get(segment);
+			if (literal) {
+				const route = this._walk(literal, segments, index + 1, params, captures, accept);
+				if (route) return route;
+			}
+
+			for (const { token, node: child } of node.params.values()) {
+				if (token.forbidden.includes(segment)) continue;
+				if (token.constraint && !token.constraint.test(segment)) continue;
+				params.push([token.name, token.constraint ? token.constraint.coerce(segment) : segment]);
+				const route = this._walk(child, segments, index + 1, params, captures, accept);
+				if (route) return route;
+				params.pop();
+			}
+		}
+
+		const remaining = segments.length - index;
+		for (const { token, node: child } of node.wildcards.values()) {
+			const max = Math.min(token.max, remaining);
+			for (let count = token.min; count <= max; count++) {
+				if (token.name) captures.push([token.name, segments.slice(index, index + count)]);
+				const route = this._walk(child, segments, index + count, params, captures, accept);
+				if (route) return route;
+				if (token.name) captures.pop();
+			}
+		}
+
+		for (const { token, node: child } of node.catchAlls.values()) {
+			const entry = child.routes.find(accept);
+			if (entry) {
+				if (token.name) captures.push([token.name, segments.slice(index)]);
+				return entry.route;
+			}
+		}
+
+		return null;
+	}
+}
+
+module.exports = {
+	RouteTrie,
+	compilePattern,
+	expandOptionalTokens,
+	compileHostConstraint,
+	normalizeHost,
+	HOST_PARAM_PATTERN,
+	compileConstraint,
+	PARAM_TYPES,
+};
+
+// cloudflare-workers-compatible-route-trie.js
@@ -0,0 +1,310 @@
+import { errorFactory } from './cloudflare-workers-compatible-errors';
+
+/**
+ * Errors thrown by Schema.parse().
+ * @type {(options: {message: string, status?: number, code?: string, exit_code?: number, hint?: string}) => Error}
+ */
+const createError = errorFactory({ status: 400, code: 'ERROR_SCHEMA_VALIDATION', exit_code: 29 });
+
+/**
+ * Names the type of a value for issue messages.
+ * @param {*} value
+ * @returns {string}
+ */
+function receivedType(value) {
+	if (value === null) return 'null';
+	if (Array.isArray(value)) return 'array';
+	return typeof value;
+}
+
+/**
+ * Immutable, chainable schema. Create instances through the `schema` factories;
+ * every modifier returns a new schema. Compatible with options.validate through safeParse().
+ * @example
+ * const listQuery = schema.object({
+ *   page: schema.number().coerce().integer().min(1).default(1),
+ *   sort: schema.enum(['asc', 'desc']).optional(),
+ *   tags: schema.array(schema.string().max(20)).coerce().optional(),
+ * });
+ */
+class Schema {
+	/**
+	 * @param {Object} def - Schema definition; see the schema factories.
+	 */
+	constructor(def) {
+		/** @private */
+		this._def = Object.freeze({ ...def });
+	}
+
+	/** @private */
+	_with(patch) {
+		return new Schema({ ...this._def, ...patch });
+	}
+
+	/**
+	 * Allows the value to be missing.
+	 * @returns {Schema}
+	 */
+	optional() {
+		return this._with({ optional: true });
+	}
+
+	/**
+	 * Uses a value when the input is missing.
+	 * @param {*} value
+	 * @returns {Schema}
+	 */
+	default(value) {
+		return this._with({ hasDefault: true, defaultValue: value });
+	}
+
+	/**
+	 * Converts strings (query, params, headers) to the schema type before checking:
+	 * numbers, booleans ("true", "false", "1", "0"), and single values into arrays.
+	 * @returns {Schema}
+	 */
+	coerce() {
+		return this._with({ coerce: true });
+	}
+
+	/**
+	 * Minimum string length, array length or number value.
+	 * @param {number} value
+	 * @returns {Schema}
+	 */
+	min(value) {
+		return this._with({ min: value });
+	}
+
+	/**
+	 * Maximum string length, array length or number value.
+	 * @param {number} value
+	 * @returns {Schema}
+	 */
+	max(value) {
+		return this._with({ max: value });
+	}
+
+	/**
+	 * Requires strings to match a regular expression.
+	 * @param {RegExp|string} regex
+	 * @returns {Schema}
+	 */
+	pattern(regex) {
+		return this._with({ pattern: regex instanceof RegExp ? regex : new RegExp(regex) });
+	}
+
+	/**
+	 * Requires numbers to be integers.
+	 * @returns {Schema}
+	 */
+	integer() {
+		return this._with({ integer: true });
+	}
+
+	/**
+	 * Rejects object keys missing from the shape instead of dropping them.
+	 * @returns {Schema}
+	 */
+	strict() {
+		return this._with({ strict: true });
+	}
+
+	/**
+	 * Adds a description, carried into JSON Schema and OpenAPI.
+	 * @param {string} text
+	 * @returns {Schema}
+	 */
+	describe(text) {
+		return this._with({ description: text });
+	}
+
+	/**
+	 * Validates a value without throwing.
+	 * @param {*} value
+	 * @returns {{success: true, data: *}|{success: false, error: {issues: Array<{path: Array<string|number>, message: string}>}}}
+	 */
+	safeParse(value) {
+		const issues = [];
+		const data = this._parse(value, [], issues);
+		return issues.length === 0 ? { success: true, data } : { success: false, error: { issues } };
+	}
+
+	/**
+	 * Validates a value and returns the parsed data.
+	 * @param {*} value
+	 * @returns {*}
+	 * @throws Throws ERROR_SCHEMA_VALIDATION with error.issues on failure.
+	 */
+	parse(value) {
+		const result = this.safeParse(value);
+		if (result.success) return result.data;
+		const error = createError({
+			message: result.error.issues.map((issue) => `${issue.path.join('.') || '(root)'}: ${issue.message}`).join('; '),
+			hint: 'Inspect error.issues for the failing paths.',
+		});
+		error.issues = result.error.issues;
+		throw error;
+	}
+
+	/**
+	 * Describes the schema as JSON Schema, for OpenAPI documents.
+	 * @returns {Object}
+	 */
+	toJSONSchema() {
+		const def = this._def;
+		let json;
+		switch (def.type) {
+			case 'string':
+				json = { type: 'string' };
+				if (def.min !== undefined) json.minLength = def.min;
+				if (def.max !== undefined) json.maxLength = def.max;
+				if (def.pattern) json.pattern = def.pattern.source;
+				break;
+			case 'number':
+				json = { type: def.integer ? 'integer' : 'number' };
+				if (def.min !== undefined) json.minimum = def.min;
+				if (def.max !== undefined) json.maximum = def.max;
+				break;
+			case 'boolean':
+				json = { type: 'boolean' };
+				break;
+			case 'enum':
+				json = { enum: [...def.values] };
+				break;
+			case 'array':
+				json = { type: 'array', items: def.item.toJSONSchema() };
+				if (def.min !== undefined) json.minItems = def.min;
+				if (def.max !== undefined) json.maxItems = def.max;
+				break;
+			case 'object': {
+				const properties = {};
+				const required = [];
+				for (const [key, child] of Object.entries(def.shape)) {
+					properties[key] = child.toJSONSchema();
+					if (!child._def.optional && !child._def.hasDefault) required.push(key);
+				}
+				json = { type: 'object', properties };
+				if (required.length > 0) json.required = required;
+				if (def.strict) json.additionalProperties = false;
+				break;
+			}
+			default:
+				json = {};
+		}
+		if (def.hasDefault) json.default = def.defaultValue;
+		if (def.description) json.description = def.description;
+		return json;
+	}
+
+	/**
+	 * @private
+	 * @param {*} value
+	 * @param {Array<string|number>} path
+	 * @param {Array<Object>} issues - Collected issues.
+	 * @returns {*} Parsed value.
+	 */
+	_parse(value, path, issues) {
+		const def = this._def;
+		const fail = (message) => {
+			issues.push({ path, message });
+			return undefined;
+		};
+
+		if (value === undefined) {
+			if (def.hasDefault) return typeof def.defaultValue === 'function' ? def.defaultValue() : def.defaultValue;
+			if (def.optional) return undefined;
+			return fail('Required');
+		}
+
+		switch (def.type) {
+			case 'string': {
+				if (def.coerce && (typeof value === 'number' || typeof value === 'boolean')) value = String(value);
+				if (typeof value !== 'string') return fail(`Expected string, received ${receivedType(value)}`);
+				if (def.min !== undefined && value.length < def.min) return fail(`Must be at least ${def.min} characters`);
+				if (def.max !== undefined && value.length > def.max) return fail(`Must be at most ${def.max} characters`);
+				if (def.pattern && !def.pattern.test(value)) return fail(`Must match pattern ${def.pattern.source}`);
+				return value;
+			}
+			case 'number': {
+				const input = value;
+				if (def.coerce && typeof value === 'string' && value.trim() !== '') value = Number(value);
+				if (typeof value !== 'number' || !Number.isFinite(value)) return fail(`Expected number, received ${receivedType(input)}`);
+				if (def.integer && !Number.isInteger(value)) return fail('Expected integer');
+				if (def.min !== undefined && value < def.min) return fail(`Must be greater than or equal to ${def.min}`);
+				if (def.max !== undefined && value > def.max) return fail(`Must be less than or equal to ${def.max}`);
+				return value;
+			}
+			case 'boolean': {
+				if (def.coerce && typeof value === 'string') {
+					if (['true', '1'].includes(value.toLowerCase())) value = true;
+					else if (['false', '0'].includes(value.toLowerCase())) value = false;
+				}
+				if (typeof value !== 'boolean') return fail(`Expected boolean, received ${receivedType(value)}`);
+				return value;
+			}
+			case 'enum': {
+				const found = def.values.find((allowed) => allowed === value || (def.coerce && String(allowed) === String(value)));
+				if (found === undefined) return fail(`Expected one of: ${def.values.join(', ')}`);
+				return found;
+			}
+			case 'array': {
+				if (def.coerce && !Array.isArray(value)) value = [value];
+				if (!Array.isArray(value)) return fail(`Expected array, received ${receivedType(value)}`);
+				if (def.min !== undefined && value.length < def.min) return fail(`Must contain at least ${def.min} items`);
+				if (def.max !== undefined && value.length > def.max) return fail(`Must contain at most ${def.max} items`);
+				return value.map((item, index) => def.item._parse(item, [...path, index], issues));
+			}
+			case 'object': {
+				if (value === null || typeof value !== 'object' || Array.isArray(value)) return fail(`Expected object, received ${receivedType(value)}`);
+				const output = {};
+				for (const [key, child] of Object.entries(def.shape)) {
+					const parsed = child._parse(value[key], [...path, key], issues);
+					if (parsed !== undefined) output[key] = parsed;
+				}
+				if (def.strict) {
+					for (const key of Object.keys(value)) {
+						if (!Object.prototype.hasOwnProperty.call(def.shape, key)) issues.push({ path: [...path, key], message: 'Unknown key' });
+					}
+				}
+				return output;
+			}
+			default:
+				return value;
+		}
+	}
+}
+
+/**
+ * Schema factories.
+ * @type {{string: () => Schema, number: () => Schema, boolean: () => Schema, enum: (values: Array) => Schema, array: (item: Schema) => Schema, object: (shape: Object<string, Schema>) => Schema, any: () => Schema}}
+ */
+const schema = {
+	string: () => new Schema({ type: 'string' }),
+	number: () => new Schema({ type: 'number' }),
+	boolean: () => new Schema({ type: 'boolean' }),
+	enum: (values) => new Schema({ type: 'enum', values: [...values] }),
+	array: (item) => new Schema({ type: 'array', item }),
+	object: (shape) => new Schema({ type: 'object', shape: { ...shape } }),
+	any: () => new Schema({ type: 'any' }),
+};
+
+/**
+ * Turns a failed safeParse() result of this module or a Zod-like library into path and message entries.
+ * @param {string} location - Where the value came from: 'body', 'query', 'params', 'headers' or 'response'.
+ * @param {*} error - The error of a failed safeParse().
+ * @returns {Array<{path: string, message: string}>}
+ */
+function toIssues(location, error) {
+	if (error && Array.isArray(error.issues)) {
+		return error.issues.map((issue) => ({
+			path: [location, ...(Array.isArray(issue.path) ? issue.path : [])].join('.'),
+			message: String(issue.message),
+		}));
+	}
+	return [{ path: location, message: error && error.message ? error.message : String(error) }];
+}
+
+module.exports = { schema, Schema, toIssues };
+
+// cloudflare-workers-compatible-schema.js
@@ -0,0 +1,468 @@
+import { errorFactory } from './cloudflare-workers-compatible-errors';
+
+/**
+ * Errors raised by the session middleware.
+ * @type {(options: {message: string, status?: number, code?: string, exit_code?: number, hint?: string}) => Error}
+ */
+const createError = errorFactory({ status: 500, code: 'SESSION_ERROR', exit_code: 99 });
+
+/** Session ids are 32 random bytes in base64url. */
+const SESSION_ID = /^[A-Za-z0-9_-]{43}$/;
+
+/**
+ * Creates a random session id.
+ * @returns {string}
+ */
+function createSessionId() {
+	const bytes = crypto.getRandomValues(new Uint8Array(32));
+	return btoa(String.fromCharCode(...bytes))
+		.replace(/\+/g, '-')
+		.replace(/\//g, '_')
+		.replace(/=+$/, '');
+}
+
+/**
+ * Session storage kept in the isolate's memory. Sessions are lost when the isolate is
+ * recycled and are not shared between isolates; use it for development and tests.
+ * @returns {{get: (key: string) => Promise<Object|null>, set: (key: string, value: Object, options: {ttl: number}) => Promise<void>, delete: (key: string) => Promise<void>}}
+ */
+function memorySessionStorage() {
+	const map = new Map();
+	return {
+		get: async (key) => {
+			const entry = map.get(key);
+			if (!entry) return null;
+			if (entry.expiresAt <= Date.now()) {
+				map.delete(key);
+				return null;
+			}
+			return JSON.parse(entry.json);
+		},
+		set: async (key, value, { ttl }) => {
+			map.set(key, { json: JSON.stringify(value), expiresAt: Date.now() + ttl * 1000 });
+		},
+		delete: async (key) => {
+			map.delete(key);
+		},
+	};
+}
+
+/**
+ * Session storage in a KV namespace. KV expires keys itself, but not before 60 seconds,
+ * so the exact expiry is also kept in the key metadata and checked on read.
+ * @example
+ * new SessionManager({ storage: (env) => kvSessionStorage(env.SESSIONS) });
+ * @param {Object} namespace - KV namespace binding.
+ * @param {Object} [options]
+ * @param {string} [options.prefix='session:'] - Key prefix.
+ * @returns {{get: Function, set: Function, delete: Function}}
+ */
+function kvSessionStorage(namespace, { prefix = 'session:' } = {}) {
+	return {
+		get: async (key) => {
+			const { value, metadata } = await namespace.getWithMetadata(prefix + key, 'json');
+			if (value === null) return null;
+			if (metadata && metadata.expiresAt <= Date.now()) return null;
+			return value;
+		},
+		set: async (key, value, { ttl }) => {
+			await namespace.put(prefix + key, JSON.stringify(value), {
+				expirationTtl: Math.max(60, Math.ceil(ttl)),
+				metadata: { expiresAt: Date.now() + ttl * 1000 },
+			});
+		},
+		delete: async (key) => {
+			await namespace.delete(prefix + key);
+		},
+	};
+}
+
+/**
+ * Session storage in an R2 bucket. R2 has no per-object expiry: the expiry is kept in the
+ * object's custom metadata, and expired objects are deleted when read. Add a lifecycle rule
+ * on the prefix to sweep sessions that are never read again.
+ * @example
+ * new SessionManager({ storage: (env) => r2SessionStorage(env.USER_DATA_BUCKET, { prefix: 'sessions/' }) });
+ * @param {Object} bucket - R2 bucket binding.
+ * @param {Object} [options]
+ * @param {string} [options.prefix='sessions/'] - Key prefix.
+ * @returns {{get: Function, set: Function, delete: Function}}
+ */
+function r2SessionStorage(bucket, { prefix = 'sessions/' } = {}) {
+	return {
+		get: async (key) => {
+			const object = await bucket.get(prefix + key);
+			if (!object) return null;
+			const expiresAt = Number(object.customMetadata && object.customMetadata.expiresAt);
+			if (expiresAt && expiresAt <= Date.now()) {
+				await bucket.delete(prefix + key);
+				return null;
+			}
+			return object.json();
+		},
+		set: async (key, value, { ttl }) => {
+			await bucket.put(prefix + key, JSON.stringify(value), {
+				httpMetadata: { contentType: 'application/json' },
+				customMetadata: { expiresAt: String(Date.now() + ttl * 1000) },
+			});
+		},
+		delete: async (key) => {
+			await bucket.delete(prefix + key);
+		},
+	};
+}
+
+/**
+ * Session of one request, available as req.session under SessionManager.
+ * Changes are written back once the handler has returned.
+ */
+class Session {
+	/**
+	 * @param {string} id - Session id.
+	 * @param {Object|null} record - Stored record, or null for a new session.
+	 */
+	constructor(id, record) {
+		const now = Date.now();
+		/** @type {string} */
+		this.id = id;
+		/** @type {boolean} True until the session has been stored. */
+		this.isNew = record === null;
+		/** @private */
+		this._data = record ? record.data : {};
+		/** @private Flash messages queued by earlier requests, and for the next one. */
+		this._flash = record ? record.flash || {} : {};
+		/** @private */
+		this._createdAt = record ? record.createdAt : now;
+		/** @private */
+		this._touchedAt = record ? record.touchedAt : now;
+		/** @private */
+		this._modified = false;
+		/** @private */
+		this._destroyed = false;
+		/** @private Id replaced by regenerate(), deleted on commit. */
+		this._previousId = null;
+	}
+
+	/**
+	 * Returns a session value.
+	 * @param {string} key
+	 * @returns {*}
+	 */
+	get(key) {
+		return this._data[key];
+	}
+
+	/**
+	 * Sets a session value; it must be JSON-serialisable.
+	 * @param {string} key
+	 * @param {*} value
+	 * @returns {this}
+	 */
+	set(key, value) {
+		this._data[key] = value;
+		this._modified = true;
+		return this;
+	}
+
+	/**
+	 * @param {string} key
+	 * @returns {boolean}
+	 */
+	has(key) {
+		return Object.prototype.hasOwnProperty.call(this._data, key);
+	}
+
+	/**
+	 * Removes a session value.
+	 * @param {string} key
+	 * @returns {this}
+	 */
+	delete(key) {
+		if (this.has(key)) {
+			delete this._data[key];
+			this._modified = true;
+		}
+		return this;
+	}
+
+	/**
+	 * Removes every session value, keeping the session id.
+	 * @returns {this}
+	 */
+	clear() {
+		this._data = {};
+		this._modified = true;
+		return this;
+	}
+
+	/**
+	 * A copy of the session values.
+	 * @returns {Object}
+	 */
+	toJSON() {
+		return { ...this._data };
+	}
+
+	/**
+	 * Queues a message for the next request, or reads and removes the queued messages.
+	 * @example
+	 * req.session.flash('notice', 'Profile saved');   // POST handler
+	 * const [notice] = req.session.flash('notice');   // next GET
+	 * @param {string} key - Message category.
+	 * @param {*} [message] - Message to queue; omit to read.
+	 * @returns {Array<*>|this} Queued messages when reading.
+	 */
+	flash(key, message) {
+		if (arguments.length > 1) {
+			this._flash[key] = [...(this._flash[key] || []), message];
+			this._modified = true;
+			return this;
+		}
+		const messages = this._flash[key] || [];
+		if (messages.length > 0) {
+			delete this._flash[key];
+			this._modified = true;
+		}
+		return messages;
+	}
+
+	/**
+	 * Moves the session to a new id, keeping its values, and restarts the absolute expiry.
+	 * Call it on login and on any privilege change so a fixated or leaked id stops working.
+	 * @returns {this}
+	 */
+	regenerate() {
+		if (!this.isNew && this._previousId === null) this._previousId = this.id;
+		this.id = createSessionId();
+		this._createdAt = Date.now();
+		this._modified = true;
+		return this;
+	}
+
+	/**
+	 * Deletes the session from storage and clears its cookie.
+	 * @returns {this}
+	 */
+	destroy() {
+		this._destroyed = true;
+		return this;
+	}
+
+	/** @type {boolean} */
+	get destroyed() {
+		return this._destroyed;
+	}
+
+	/** @type {number} Creation time in ms since epoch; reset by regenerate(). */
+	get createdAt() {
+		return this._createdAt;
+	}
+}
+
+/**
+ * Session middleware. Loads the session named by the request's cookie (or header) into
+ * req.session and stores it again after the handler, with a rolling idle expiry capped by
+ * an absolute one. New sessions are only stored once something is written to them.
+ * @example
+ * const sessions = new SessionManager({ storage: (env) => kvSessionStorage(env.SESSIONS), ttl: 30 * 60 });
+ * router.use(sessions);
+ * router.post('/login', async (req, res) => {
+ *   req.session.regenerate().set('userId', user.id);
+ *   return res.sendJSON({ ok: true });
+ * });
+ */
+class SessionManager {
+	/**
+	 * @param {Object} [options]
+	 * @param {Object|function(Object): Object} [options.storage] - { get, set, delete } storage, or a function
+	 * building one from env; memorySessionStorage() by default.
+	 * @param {number} [options.ttl=1800] - Idle expiry in seconds.
+	 * @param {number|null} [options.absoluteTtl=86400] - Maximum session age in seconds, or null for none.
+	 * @param {boolean} [options.rolling=true] - Extend the idle expiry on every request.
+	 * @param {number} [options.touchInterval=60] - Minimum seconds between rolling writes of an unchanged session.
+	 * @param {string|false} [options.cookie='sid'] - Cookie carrying the session id, or false for header-only sessions.
+	 * @param {Object} [options.cookieOptions] - setCookie() attributes; defaults to { path: '/', httpOnly: true, secure: true, sameSite: 'lax' }.
+	 * @param {boolean} [options.signed=false] - Sign the cookie with the dispatcher's cookie secret.
+	 * @param {string|null} [options.header=null] - Header carrying the session id, e.g. 'x-session-id'. It is
+	 * read before the cookie and sent back whenever the id changes.
+	 */
+	constructor({
+		storage = memorySessionStorage(),
+		ttl = 1800,
+		absoluteTtl = 86400,
+		rolling = true,
+		touchInterval = 60,
+		cookie = 'sid',
+		cookieOptions = {},
+		signed = false,
+		header = null,
+	} = {}) {
+		if (typeof storage !== 'function') SessionManager._checkStorage(storage);
+		if (typeof ttl !== 'number' || ttl <= 0) {
+			throw createError({
+				message: 'SessionManager ttl must be a positive number of seconds.',
+				status: 400,
+				code: 'INVALID_ARGUMENT',
+				exit_code: 2,
+			});
+		}
+		if (!cookie && !header) {
+			throw createError({
+				message: 'SessionManager needs a cookie or a header to carry the session id.',
+				status: 400,
+				code: 'INVALID_ARGUMENT',
+				exit_code: 3,
+			});
+		}
+		/** @private */
+		this._storage = storage;
+		/** @private */
+		this._ttl = ttl;
+		/** @private */
+		this._absoluteTtl = absoluteTtl;
+		/** @private */
+		this._rolling = rolling;
+		/** @private */
+		this._touchInterval = touchInterval;
+		/** @private */
+		this._cookie = cookie;
+		/** @private */
+		this._cookieOptions = { path: '/', httpOnly: true, secure: true, sameSite: 'lax', ...cookieOptions };
+		/** @private */
+		this._signed = signed;
+		/** @private */
+		this._header = header ? header.toLowerCase() : null;
+	}
+
+	/**
+	 * Checks that a storage implements get, set and delete.
+	 * @private
+	 * @param {Object} storage
+	 */
+	static _checkStorage(storage) {
+		if (!storage || typeof storage.get !== 'function' || typeof storage.set !== 'function' || typeof storage.delete !== 'function') {
+			throw createError({
+				message: 'Session storage must implement get, set and delete.',
+				code: 'INVALID_STORAGE',
+				exit_code: 1,
+				hint: 'Use memorySessionStorage(), kvSessionStorage() or r2SessionStorage().',
+			});
+		}
+	}
+
+	/**
+	 * Returns the middleware function.
+	 * @returns {Function}
+	 */
+	handler() {
+		return async (req, res, env, ctx, next) => {
+			const storage = typeof this._storage === 'function' ? this._storage(env) : this._storage;
+			if (typeof this._storage === 'function') SessionManager._checkStorage(storage);
+
+			const { id, fromCookie } = await this._readId(req);
+			const record = id ? await storage.get(id) : null;
+			const live = record !== null && !this._expired(record);
+			if (record && !live) await storage.delete(id);
+			// An unknown or expired id is replaced rather than reused, so clients cannot choose their id
+			const session = live ? new Session(id, record) : new Session(createSessionId(), null);
+			req.session = session;
+
+			const result = await next();
+			await this._commit(session, storage, res, { staleCookie: fromCookie && session.isNew });
+			return this._rebuildEnded(result, res);
+		};
+	}
+
+	/**
+	 * Reads the session id from the header, then the cookie. Malformed ids are ignored.
+	 * @private
+	 * @param {Object} req - RequestParser.
+	 * @returns {Promise<{id: string|null, fromCookie: boolean}>}
+	 */
+	async _readId(req) {
+		if (this._header) {
+			const value = req.headers[this._header];
+			if (value && SESSION_ID.test(value)) return { id: value, fromCookie: false };
+		}
+		if (this._cookie) {
+			const value = this._signed ? (await req.signedCookies)[this._cookie] : req.cookies[this._cookie];
+			if (typeof value === 'string' && SESSION_ID.test(value)) return { id: value, fromCookie: true };
+			if (value !== undefined) return { id: null, fromCookie: true };
+		}
+		return { id: null, fromCookie: false };
+	}
+
+	/**
+	 * @private
+	 * @param {Object} record
+	 * @returns {boolean}
+	 */
+	_expired(record) {
+		const now = Date.now();
+		if (record.touchedAt + this._ttl * 1000 <= now) return true;
+		return this._absoluteTtl !== null && record.createdAt + this._absoluteTtl * 1000 <= now;
+	}
+
+	/**
+	 * Writes the session back and sets or clears the id cookie and header.
+	 * @private
+	 * @param {Session} session
+	 * @param {Object} storage
+	 * @param {Object} res - ResponseBuilder.
+	 * @param {{staleCookie: boolean}} state - staleCookie: the request sent a cookie naming no live session.
+	 * @returns {Promise<void>}
+	 */
+	async _commit(session, storage, res, { staleCookie }) {
+		if (session._previousId) await storage.delete(session._previousId);
+
+		if (session.destroyed) {
+			if (!session.isNew) await storage.delete(session.id);
+			if (this._cookie && (!session.isNew || staleCookie)) res.clearCookie(this._cookie, this._cookieOptions);
+			return;
+		}
+
+		const now = Date.now();
+		const touchDue = this._rolling && now - session._touchedAt >= this._touchInterval * 1000;
+		if (!session._modified && !(touchDue && !session.isNew)) {
+			if (staleCookie && this._cookie) res.clearCookie(this._cookie, this._cookieOptions);
+			return;
+		}
+
+		// Idle expiry rolls forward, but never past the absolute expiry
+		const touchedAt = this._rolling || session.isNew || session._previousId ? now : session._touchedAt;
+		let expiresAt = touchedAt + this._ttl * 1000;
+		if (this._absoluteTtl !== null) expiresAt = Math.min(expiresAt, session.createdAt + this._absoluteTtl * 1000);
+		const ttl = Math.max(1, Math.ceil((expiresAt - now) / 1000));
+
+		await storage.set(session.id, { data: session._data, flash: session._flash, createdAt: session.createdAt, touchedAt }, { ttl });
+
+		const idChanged = session.isNew || session._previousId !== null;
+		if (this._cookie && (idChanged || touchedAt === now)) {
+			const options = { ...this._cookieOptions, maxAge: ttl };
+			if (this._signed) await res.setSignedCookie(this._cookie, session.id, options);
+			else res.setCookie(this._cookie, session.id, options);
+		}
+		if (this._header && idChanged) res.setHeader(this._header, session.id);
+	}
+
+	/**
+	 * Headers set on the builder after it was ended are not in its Response yet;
+	 * rebuild the Response from the builder's headers so the session cookie is sent.
+	 * @private
+	 * @param {*} result - Value returned by the rest of the chain.
+	 * @param {Object} res - ResponseBuilder.
+	 * @returns {*}
+	 */
+	_rebuildEnded(result, res) {
+		const raw = res.rawResponse;
+		if (!res._ended || !(raw instanceof Response)) return result;
+		const init = { status: raw.status, statusText: raw.statusText, headers: res.headers };
+		if (raw.webSocket) init.webSocket = raw.webSocket;
+		res.rawResponse = new Response(raw.body, init);
+		return result === raw ? res.rawResponse : result;
+	}
+}
+
+module.exports = { SessionManager, Session, memorySessionStorage, kvSessionStorage, r2SessionStorage };
+
+// cloudflare-workers-compatible-session.js
@@ -0,0 +1,95 @@
+/**
+ * Creates a fake ExecutionContext that records waitUntil() promises so tests can await them.
+ * @returns {{waitUntil: (promise: Promise<any>) => void, passThroughOnException: () => void, pending: Promise<any>[], settle: () => Promise<PromiseSettledResult<any>[]>}}
+ */
+function createExecutionContext() {
+	const pending = [];
+	return {
+		waitUntil(promise) {
+			pending.push(Promise.resolve(promise));
+		},
+		passThroughOnException() {},
+		get pending() {
+			return pending.slice();
+		},
+		/**
+		 * Waits for every waitUntil() promise, including ones scheduled while settling.
+		 * @returns {Promise<PromiseSettledResult<any>[]>}
+		 */
+		async settle() {
+			let results = [];
+			while (results.length < pending.length) {
+				results = results.concat(await Promise.allSettled(pending.slice(results.length)));
+			}
+			return results;
+		},
+	};
+}
+
+/**
+ * Dispatches a synthetic request through a RouteDispatcher and decodes the response.
+ * Runs under plain Node as well as the Workers runtime.
+ * @param {Object} dispatcher - RouteDispatcher instance.
+ * @param {Object} [options]
+ * @param {string} [options.method='GET'] - HTTP method.
+ * @param {string} [options.url='/'] - Absolute URL or path (resolved against http://localhost).
+ * @param {Object|Headers} [options.headers] - Request headers; host defaults to the URL host.
+ * @param {BodyInit} [options.body] - Raw request body.
+ * @param {*} [options.json] - Value sent as a JSON body with Content-Type application/json.
+ * @param {Object} [options.cf] - Value exposed as request.cf.
+ * @param {Object} [options.env={}] - Bindings passed as env (e.g. in-memory KV/R2 mocks).
+ * @param {Object} [options.ctx] - ExecutionContext; defaults to createExecutionContext().
+ * @returns {Promise<{status: number, statusText: string, headers: Headers, text: string, json: *, timing: {startedAt: number, durationMs: number}, response: Response, request: Request, env: Object, ctx: Object, settle: Function}>}
+ */
+async function injectRequest(dispatcher, { method = 'GET', url = '/', headers = {}, body, json, cf, env = {}, ctx } = {}) {
+	const target = new URL(url, 'http://localhost');
+	const requestHeaders = new Headers(headers);
+	if (!requestHeaders.has('host')) requestHeaders.set('host', target.host);
+
+	let requestBody = body;
+	if (json !== undefined) {
+		requestBody = JSON.stringify(json);
+		if (!requestHeaders.has('content-type')) requestHeaders.set('content-type', 'application/json');
+	}
+
+	const upperMethod = method.toUpperCase();
+	const init = { method: upperMethod, headers: requestHeaders };
+	if (requestBody !== undefined && !['GET', 'HEAD'].includes(upperMethod)) {
+		init.body = requestBody;
+		init.duplex = 'half';
+	}
+
+	const request = new Request(target.toString(), init);
+	if (cf) Object.defineProperty(request, 'cf', { value: cf, enumerable: true });
+
+	const executionContext = ctx || createExecutionContext();
+	const startedAt = performance.now();
+	const response = await dispatcher.respond(request, env, executionContext);
+	const text = response.body ? await response.text() : '';
+	const durationMs = performance.now() - startedAt;
+
+	let parsed;
+	try {
+		parsed = text ? JSON.parse(text) : undefined;
+	} catch {
+		parsed = undefined;
+	}
+
+	return {
+		status: response.status,
+		statusText: response.statusText,
+		headers: response.headers,
+		text,
+		json: parsed,
+		timing: { startedAt, durationMs },
+		response,
+		request,
+		env,
+		ctx: executionContext,
+		settle: () => (typeof executionContext.settle === 'function' ? executionContext.settle() : Promise.resolve([])),
+	};
+}
+
+module.exports = { createExecutionContext, injectRequest };
+
+// cloudflare-workers-compatible-test-client.js
@@ -3,10 +3,45 @@ import { RouteDispatcher } from './cloudflare-workers-compatible-route-dispatche
 import { randomIntVal, randomStringVal, generateAesKeyBase64 } from './random-stuff';
 import { encryptWithKey, decryptWithKey } from './cloudflare-compatible-encryption-utils';
 import { Cors } from './cloudflare-workers-compatible-cors-handler';
+import { createError, registerErrors } from './cloudflare-workers-compatible-errors';
 const dataTransferEncyptionLocationKeysPrefix = 'iwill_dataTransferEncryptionKeys_for_';
 const userLoginDataLocationPrefix = 'iwill_userLoginData_for_';
 const userMasterKeyDataPrefix = 'iwill_userMasterKeyData__for_';
-const apiServer = new RouteDispatcher();
+
+registerErrors({
+	TO_JSON_DECRYPTION_FAILED: { status: 400, title: 'Request body is not valid JSON' },
+	REQUEST_DECRYPTION_FAILED: { status: 400, title: 'Request data could not be decrypted' },
+	INVALID_INPUT_TYPE: { status: 400, title: 'Unsupported request data' },
+	FAILED_TO_PARSE_JSON: { status: 400, title: 'Decrypted request data is not valid JSON' },
+	FAILED_TO_FETCH_ENCRYPTION_KEYS: {
+		status: 404,
+		title: 'Encryption keys not found',
+		hint: 'Request new keys from /iwill/data-transfer/revoke/encyption.',
+	},
+	CANNOT_GET_EXPIRED_ENCRYPTION_KEYS: {
+		status: 401,
+		title: 'Encryption keys expired',
+		hint: 'Request new keys from /iwill/data-transfer/revoke/encyption.',
+	},
+	JSON_PARSING_FAILED: { status: 500, title: 'Stored encryption keys are corrupt' },
+	INVALID_USER_INPUT: { status: 400, title: 'Invalid user input' },
+	INVALID_USER_DATA: { status: 400, title: 'Invalid user data' },
+	IMPROPER_CREDENTIALS: { status: 400, title: 'Missing credentials' },
+	CREDENTIALS_REQUIRED: { status: 400, title: 'Current credentials required' },
+	INVALID_MASTER_KEY_ID: { status: 404, title: 'Master key not found', hint: 'Log in again to get a new master key.' },
+	INVALID_CREDENTIALS: { status: 401, title: 'Invalid credentials' },
+	USERNAME_UNREGISTERED: { status: 404, title: 'Username not registered' },
+	USERNAME_IS_AQUIRED: { status: 409, title: 'Username already taken' },
+	INCORRECT_PASSWORD: { status: 401, title: 'Wrong username or password' },
+	REQUEST_UNAUTHORISED: { status: 401, title: 'Invalid password' },
+	FORBIDDEN: { status: 403, title: 'Forbidden' },
+	CANNOT_RESET_VOID_ARGS: { status: 400, title: 'Nothing to reset', hint: 'Send a new username, a new password or both.' },
+	FAILED_TO_GET_USER_DATA: { status: 500, title: 'Failed to read user data' },
+	FAILED_TO_PUT_USER_DATA: { status: 500, title: 'Failed to store user data' },
+	FAILED_TO_RESET_USER_DATA: { status: 500, title: 'Failed to reset user data' },
+});
+
+const apiServer = new RouteDispatcher({ problemDetails: true });
 apiServer.use(
 	new Cors({
 		origin: (origin) => {
@@ -20,6 +55,11 @@ apiServer.use(
 		},
 	})
 );
+// Rendered through the response builder so the CORS headers set by Cors are kept
+apiServer.onError((error, req, res) => {
+	if (!error.status || error.status >= 500) console.error(error);
+	return res.sendProblem(error);
+});
 
 apiServer.group('/iwill/data-transfer/revoke/encyption', (revokeRouter) => {
 	revokeRouter.all('/*', revokeDataTransferEncryptionKeys);
@@ -33,368 +73,263 @@ async function handleReset(req, res, env, ctx) {
 	const dateNow = Date.now();
 	const { masterKeyId: reqMasterKeyId } = req.params;
 
-	const { data, success, error, code, uniqueEncId } = await toDecryptedRequestData(req, res, env);
-
-	if (!success) {
-		return res.enableCORS().setStatus(500).sendJSON({ success, error, code });
-	} else {
-		const { success, error, code } = await verifyMasterKeyData(reqMasterKeyId, data, env);
+	const { data, uniqueEncId } = await toDecryptedRequestData(req, env);
+	await verifyMasterKeyData(reqMasterKeyId, data, env);
 
-		if (!success) {
-			return res.enableCORS().setStatus(500).sendJSON({ success, error, code });
-		}
+	const {
+		username: usernameRaw,
+		password: passwordRaw,
+		currentUsername: currentUsernameRaw,
+		currentPassword: currentPasswordRaw,
+		publicKeyRaw,
+	} = extractUserData(data);
+	if (!currentUsernameRaw || !currentPasswordRaw) {
+		throw createError({ message: 'Both current username and password are required to reset anyone of them', code: 'CREDENTIALS_REQUIRED' });
+	}
 
-		const {
-			username: usernameRaw,
-			password: passwordRaw,
-			currentUsername: currentUsernameRaw,
-			currentPassword: currentPasswordRaw,
-			publicKeyRaw,
-		} = data;
-		if (!currentPasswordRaw || !currentPasswordRaw) {
-			return res.enableCORS().setStatus(400).sendJSON({
-				success: false,
-				error: 'Both current username and password are required to reset anyone of them',
-				code: 'CREDENTIALS_REQUIRED',
-			});
-		}
+	const newUsername = usernameRaw ? usernameRaw.trim() : null;
+	const newPassword = passwordRaw ? passwordRaw.trim() : null;
+	const currentPassword = currentPasswordRaw.trim();
+	const currentUsername = currentUsernameRaw.trim();
 
-		let newUsername = usernameRaw ? usernameRaw.trim() : null;
-		let newPassword = passwordRaw ? passwordRaw.trim() : null;
-		const currentPassword = currentPasswordRaw.trim();
-		const currentUsername = currentUsername.trim();
+	if (!newUsername && !newPassword) {
+		throw createError({ message: 'Cannot reset void', code: 'CANNOT_RESET_VOID_ARGS' });
+	}
 
-		if (newUsername || newPassword) {
-			try {
-				const userLoginDataLocation = `${userLoginDataLocationPrefix}${currentUsername}_.json`;
-				const existingUserRaw = await env.USER_DATA_TIKMIX_R2_BUCKET.get(userLoginDataLocation);
+	const userLoginDataLocation = `${userLoginDataLocationPrefix}${currentUsername}_.json`;
+	const existingUserJSON = await getUserLoginData(userLoginDataLocation, env, 'FAILED_TO_RESET_USER_DATA');
+	if (!existingUserJSON) {
+		throw createError({ message: 'Username not found', code: 'USERNAME_UNREGISTERED' });
+	}
+	if (currentPassword !== existingUserJSON.password) {
+		throw createError({ message: 'Invalid password', code: 'REQUEST_UNAUTHORISED' });
+	}
 
-				if (!existingUserRaw) {
-					return res.enableCORS().setStatus(404).sendJSON({ success: false, error: 'Username not found', code: 'USERNAME_UNREGISTERED' });
-				}
+	const username = newUsername ? newUsername : existingUserJSON.username;
+	const password = newPassword ? newPassword : existingUserJSON.password;
+	if (!username || username.length < 3 || username.length > 64) {
+		throw createError({ message: 'Invalid Username length', code: 'INVALID_USER_DATA' });
+	}
+	if (password && password.length < 8) {
+		throw createError({ message: 'Invalid password length', code: 'INVALID_USER_DATA' });
+	}
+	const publicKeyFromUser = existingUserJSON.publicKey;
+	if (!publicKeyRaw || publicKeyRaw.trim() !== publicKeyFromUser) {
+		throw createError({ message: 'Master key does not belong to this user', code: 'FORBIDDEN' });
+	}
 
-				const existingUserJSON = await existingUserRaw.json();
-				if (currentPassword !== existingUserJSON.password) {
-					return res.enableCORS().setStatus(400).sendJSON({ success: false, error: 'Invalid password', code: 'REQUEST_UNAUTHORISED' });
-				}
-				const username = newUsername ? newUsername : existingUserJSON.username;
-				const password = newPassword ? newPassword : existingUserJSON.password;
-				if (!username || username.length < 3 || username.length > 64) {
-					return res.enableCORS().setStatus(400).sendJSON({ success: false, error: 'Invalid Username length', code: 'INVALID_USER_DATA' });
-				}
-				if (password && password.length < 8) {
-					return res.enableCORS().setStatus(400).sendJSON({ success: false, error: 'Invalid password length', code: 'INVALID_USER_DATA' });
-				}
-				const publicKeyFromUser = existingUserJSON.publicKey;
-				if (publicKeyRaw.trim() !== publicKeyFromUser) {
-					return res.enableCORS().setStatus(403).sendJSON({
-						success: false,
-						error: 'Master key does not belong to this user',
-						code: 'FORBIDDEN',
-					});
-				}
-				await env.USER_DATA_TIKMIX_R2_BUCKET.put(
-					userLoginDataLocation,
-					JSON.stringify({
-						...existingUserJSON,
-						username,
-						password,
-						publicKey: publicKeyFromUser,
-						updatedAt: dateNow,
-					})
-				);
-
-				const { responseEncryptionKey } = await getDataTransferEncryptionKeys(uniqueEncId, env);
-
-				const encryptedResponse = await encryptWithKey(
-					JSON.stringify({ success: true, username, publicKey: publicKeyFromUser, updatedAt: dateNow }),
-					responseEncryptionKey
-				);
-
-				res.setStatus(200).end(encryptedResponse);
-			} catch (error) {
-				return res
-					.enableCORS()
-					.setStatus(500)
-					.sendJSON({ success: false, error: 'Failed to reset user data', code: 'FAILED_TO_RESET_USER_DATA' });
-			}
-		} else {
-			return res.enableCORS().setStatus(500).sendJSON({ success: false, error: 'Cannot reset void', code: 'CANNOT_RESET_VOID_ARGS' });
-		}
+	try {
+		await env.USER_DATA_TIKMIX_R2_BUCKET.put(
+			userLoginDataLocation,
+			JSON.stringify({
+				...existingUserJSON,
+				username,
+				password,
+				publicKey: publicKeyFromUser,
+				updatedAt: dateNow,
+			})
+		);
+	} catch (error) {
+		throw createError({ message: 'Failed to reset user data', code: 'FAILED_TO_RESET_USER_DATA' });
 	}
+
+	const { responseEncryptionKey } = await getDataTransferEncryptionKeys(uniqueEncId, env);
+
+	const encryptedResponse = await encryptWithKey(
+		JSON.stringify({ success: true, username, publicKey: publicKeyFromUser, updatedAt: dateNow }),
+		responseEncryptionKey
+	);
+
+	return res.setStatus(200).end(encryptedResponse);
 }
 async function handleMasterRevoke(req, res, env, ctx) {
 	const dateNow = Date.now();
 	const { masterKeyId: reqMasterKeyId } = req.params;
 
-	const { data, success, error, code, uniqueEncId } = await toDecryptedRequestData(req, res, env);
-
-	if (!success) {
-		return res.enableCORS().setStatus(500).sendJSON({ success, error, code });
-	} else {
-		const { success, error, code, publicKey } = await verifyMasterKeyData(reqMasterKeyId, data, env);
+	const { data, uniqueEncId } = await toDecryptedRequestData(req, env);
+	const { publicKey } = await verifyMasterKeyData(reqMasterKeyId, data, env);
 
-		if (!success) {
-			return res.enableCORS().setStatus(500).sendJSON({ success, error, code });
-		}
+	const masterKeyId = randomIntVal();
+	const userMasterKeyDataLocation = `${userMasterKeyDataPrefix}${masterKeyId}_.json`;
+	const masterKeySecret = randomStringVal(true, 128);
+	const masterKeyCreatedAt = dateNow;
+	const masterKeyExpiryAt = dateNow + 3600000;
 
-		const masterKeyId = randomIntVal();
-		const userMasterKeyDataLocation = `${userMasterKeyDataPrefix}${masterKeyId}_.json`;
-		const masterKeySecret = randomStringVal(true, 128);
-		const masterKeyCreatedAt = dateNow;
-		const masterKeyExpiryAt = dateNow + 3600000;
+	await env.USER_DATA_TIKMIX_R2_BUCKET.put(
+		userMasterKeyDataLocation,
+		JSON.stringify({ publicKey, masterKeyId, masterKeySecret, expiryAt: masterKeyExpiryAt, createdAt: masterKeyCreatedAt })
+	);
 
-		await env.USER_DATA_TIKMIX_R2_BUCKET.put(
-			userMasterKeyDataLocation,
-			JSON.stringify({ publicKey, masterKeyId, masterKeySecret, expiryAt: masterKeyExpiryAt, createdAt: masterKeyCreatedAt })
-		);
+	const { responseEncryptionKey } = await getDataTransferEncryptionKeys(uniqueEncId, env);
 
-		const { responseEncryptionKey } = await getDataTransferEncryptionKeys(uniqueEncId, env);
+	const encryptedResponse = await encryptWithKey(
+		JSON.stringify({ success: true, masterKeyId, masterKeySecret, publicKey, masterKeyCreatedAt, masterKeyExpiryAt }),
+		responseEncryptionKey
+	);
 
-		const encryptedResponse = await encryptWithKey(
-			JSON.stringify({ success: true, masterKeyId, masterKeySecret, publicKey, masterKeyCreatedAt, masterKeyExpiryAt }),
-			responseEncryptionKey
-		);
+	await env.USER_DATA_TIKMIX_R2_BUCKET.delete(`${userMasterKeyDataPrefix}${reqMasterKeyId}_.json`);
 
-		await env.USER_DATA_TIKMIX_R2_BUCKET.delete(`${userMasterKeyDataPrefix}${reqMasterKeyId}_.json`);
-
-		res.setStatus(200).end(encryptedResponse);
-	}
+	return res.setStatus(200).end(encryptedResponse);
 }
 async function handleVerifyMasterKey(req, res, env, ctx) {
 	const { masterKeyId } = req.params;
 
-	const { data, success, error, code, uniqueEncId } = await toDecryptedRequestData(req, res, env);
-	if (!success) {
-		return res.enableCORS().setStatus(500).sendJSON({ success, error, code });
-	} else {
-		const { success, error, code } = await verifyMasterKeyData(masterKeyId, data, env);
-		if (!success) {
-			res.enableCORS().setStatus(500).sendJSON({ success, error, code });
-		}
-		res.setStatus(200).sendJSON({ sucess: true, masterKeyId });
-	}
-	res.enableCORS().setStatus(500).sendJSON({ error: 'INTERNAL SERVER ERROR' });
+	const { data } = await toDecryptedRequestData(req, env);
+	await verifyMasterKeyData(masterKeyId, data, env);
+
+	return res.setStatus(200).sendJSON({ success: true, masterKeyId });
 }
 async function verifyMasterKeyData(masterKeyId, data, env) {
 	const dateNow = Date.now();
-	if (data) {
-		const { masterKeySecret } = extractUserData(data);
+	if (!data) {
+		throw createError({ message: 'Invalid User Input', code: 'INVALID_USER_INPUT' });
+	}
+	const { masterKeySecret } = extractUserData(data);
 
-		if (!masterKeySecret) {
-			return { success: false, error: 'Invalid or Empty credentials', code: 'IMPROPER_CREDENTIALS' };
-		}
+	if (!masterKeySecret) {
+		throw createError({ message: 'Invalid or Empty credentials', code: 'IMPROPER_CREDENTIALS' });
+	}
 
-		const userMasterKeyDataLocation = `${userMasterKeyDataPrefix}${masterKeyId}_.json`;
-		const storedMasterKeyRaw = await env.USER_DATA_TIKMIX_R2_BUCKET.get(userMasterKeyDataLocation);
+	const userMasterKeyDataLocation = `${userMasterKeyDataPrefix}${masterKeyId}_.json`;
+	const storedMasterKeyRaw = await env.USER_DATA_TIKMIX_R2_BUCKET.get(userMasterKeyDataLocation);
 
-		if (!storedMasterKeyRaw) {
-			return { success: false, error: 'Master key not found or expired', code: 'INVALID_MASTER_KEY_ID' };
-		}
+	if (!storedMasterKeyRaw) {
+		throw createError({ message: 'Master key not found or expired', code: 'INVALID_MASTER_KEY_ID' });
+	}
 
-		const storedMasterKeyJSON = await storedMasterKeyRaw.json();
+	const storedMasterKeyJSON = await storedMasterKeyRaw.json();
 
-		const { masterKeySecret: storedMasterKeySecret, publicKey, expiryAt } = storedMasterKeyJSON;
+	const { masterKeySecret: storedMasterKeySecret, publicKey, expiryAt } = storedMasterKeyJSON;
 
-		if (masterKeySecret !== storedMasterKeySecret) {
-			return { success: false, error: 'Invalid credentials', code: 'INVALID_CREDENTIALS' };
-		}
+	if (masterKeySecret !== storedMasterKeySecret) {
+		throw createError({ message: 'Invalid credentials', code: 'INVALID_CREDENTIALS' });
+	}
 
-		if (expiryAt < dateNow) {
-			await env.USER_DATA_TIKMIX_R2_BUCKET.delete(userMasterKeyDataLocation);
+	if (expiryAt < dateNow) {
+		await env.USER_DATA_TIKMIX_R2_BUCKET.delete(userMasterKeyDataLocation);
 
-			return { success: false, error: 'Invalid or Expired credentials', code: 'INVALID_CREDENTIALS' };
-		}
-		return { success: true, publicKey };
+		throw createError({ message: 'Invalid or Expired credentials', code: 'INVALID_CREDENTIALS' });
 	}
-	return { success: false, error: 'Invalid User Input', code: 'INVALID_USER_INPUT' };
+	return { publicKey };
 }
 async function handleClientLogin(req, res, env, ctx) {
 	const dateNow = Date.now();
-	const { data, success, error, code, uniqueEncId } = await toDecryptedRequestData(req, res, env);
-
-	if (!success) {
-		return res.enableCORS().setStatus(500).sendJSON({ success, error, code });
-	} else if (data) {
-		const {
-			username: usernameRaw,
-			password: passwordRaw,
-			success: extractSuccess,
-			error: extractError,
-			code: extractCode,
-		} = extractUserData(data);
-
-		const username = usernameRaw.trim();
-		const password = passwordRaw.trim();
-
-		if (!extractSuccess) {
-			return res.enableCORS().setStatus(400).sendJSON({ success: extractSuccess, error: extractError, code: extractCode });
-		}
-
-		if (!username || username.length < 3 || username.length > 64) {
-			return res.enableCORS().setStatus(400).sendJSON({ success: false, error: 'Invalid or empty username', code: 'INVALID_USER_DATA' });
-		}
-
-		if (!password || password.length < 8 || password.length > 16) {
-			return res.enableCORS().setStatus(400).sendJSON({ success: false, error: 'Invalid password length', code: 'INVALID_USER_DATA' });
-		}
+	const { data, uniqueEncId } = await toDecryptedRequestData(req, env);
+	const { username, password } = validateUserCredentials(extractUserData(data));
 
-		try {
-			const userLoginDataLocation = `${userLoginDataLocationPrefix}${username}_.json`;
+	const userLoginDataLocation = `${userLoginDataLocationPrefix}${username}_.json`;
+	const existingUserJSON = await getUserLoginData(userLoginDataLocation, env, 'FAILED_TO_GET_USER_DATA');
 
-			const existingUserRaw = await env.USER_DATA_TIKMIX_R2_BUCKET.get(userLoginDataLocation);
-
-			if (!existingUserRaw) {
-				return res.enableCORS().setStatus(404).sendJSON({ success: false, error: 'Username not found', code: 'USERNAME_UNREGISTERED' });
-			}
-
-			const existingUserJSON = await existingUserRaw.json();
+	if (!existingUserJSON) {
+		throw createError({ message: 'Username not found', code: 'USERNAME_UNREGISTERED' });
+	}
 
-			const { password: storedPassword, publicKey, privateKey } = existingUserJSON;
+	const { password: storedPassword, publicKey } = existingUserJSON;
 
-			if (password !== storedPassword) {
-				return res
-					.enableCORS()
-					.setStatus(400)
-					.sendJSON({ success: false, error: 'Wrong username or password', code: 'INCORRECT_PASSWORD' });
-			}
+	if (password !== storedPassword) {
+		throw createError({ message: 'Wrong username or password', code: 'INCORRECT_PASSWORD' });
+	}
 
-			const masterKeyId = randomIntVal();
-			const userMasterKeyDataLocation = `${userMasterKeyDataPrefix}${masterKeyId}_.json`;
-			const masterKeySecret = randomStringVal(true, 128);
-			const masterKeyCreatedAt = dateNow;
-			const masterKeyExpiryAt = dateNow + 3600000;
+	const masterKeyId = randomIntVal();
+	const userMasterKeyDataLocation = `${userMasterKeyDataPrefix}${masterKeyId}_.json`;
+	const masterKeySecret = randomStringVal(true, 128);
+	const masterKeyCreatedAt = dateNow;
+	const masterKeyExpiryAt = dateNow + 3600000;
 
-			await env.USER_DATA_TIKMIX_R2_BUCKET.put(
-				userMasterKeyDataLocation,
-				JSON.stringify({ publicKey, masterKeyId, masterKeySecret, expiryAt: masterKeyExpiryAt, createdAt: masterKeyCreatedAt })
-			);
+	try {
+		await env.USER_DATA_TIKMIX_R2_BUCKET.put(
+			userMasterKeyDataLocation,
+			JSON.stringify({ publicKey, masterKeyId, masterKeySecret, expiryAt: masterKeyExpiryAt, createdAt: masterKeyCreatedAt })
+		);
+	} catch (error) {
+		throw createError({ message: 'Failed to login user', code: 'FAILED_TO_GET_USER_DATA' });
+	}
 
-			const { responseEncryptionKey } = await getDataTransferEncryptionKeys(uniqueEncId, env);
+	const { responseEncryptionKey } = await getDataTransferEncryptionKeys(uniqueEncId, env);
 
-			const encryptedResponse = await encryptWithKey(
-				JSON.stringify({ success: true, masterKeyId, masterKeySecret, publicKey, masterKeyCreatedAt, masterKeyExpiryAt }),
-				responseEncryptionKey
-			);
+	const encryptedResponse = await encryptWithKey(
+		JSON.stringify({ success: true, masterKeyId, masterKeySecret, publicKey, masterKeyCreatedAt, masterKeyExpiryAt }),
+		responseEncryptionKey
+	);
 
-			res.setStatus(200).end(encryptedResponse);
-		} catch (error) {
-			return res.enableCORS().setStatus(500).sendJSON({ success: false, error: 'Failed to login user', code: 'FAILED_TO_GET_USER_DATA' });
-		}
-	}
+	return res.setStatus(200).end(encryptedResponse);
 }
 async function handleClientRegister(req, res, env, ctx) {
 	const dateNow = Date.now();
-	const { data, success, error, code, uniqueEncId } = await toDecryptedRequestData(req, res, env);
-
-	if (!success) {
-		return res.enableCORS().setStatus(500).sendJSON({ success, error, code });
-	} else if (data) {
-		const {
-			username: usernameRaw,
-			password: passwordRaw,
-			success: extractSuccess,
-			error: extractError,
-			code: extractCode,
-		} = extractUserData(data);
-
-		const username = usernameRaw.trim();
-		const password = passwordRaw.trim();
-		const publicKey = randomStringVal(true, 32, 'pub_');
-		const privatekey = randomStringVal(true, 64, 'sec_');
-
-		if (!extractSuccess) {
-			return res.enableCORS().setStatus(400).sendJSON({ success: extractSuccess, error: extractError, code: extractCode });
-		}
-
-		if (!username || username.length < 3 || username.length > 64) {
-			return res.enableCORS().setStatus(400).sendJSON({ success: false, error: 'Invalid or empty username', code: 'INVALID_USER_DATA' });
-		}
-
-		if (!password || password.length < 8 || password.length > 16) {
-			res.enableCORS().setStatus(400).sendJSON({ success: false, error: 'Invalid password length', code: 'INVALID_USER_DATA' });
-		}
-
-		try {
-			const userLoginDataLocation = `${userLoginDataLocationPrefix}${username}_.json`;
-			const existingUserRaw = await env.USER_DATA_TIKMIX_R2_BUCKET.get(userLoginDataLocation);
-
-			if (existingUserRaw) {
-				return res
-					.setStatus(400)
-					.sendJSON({ success: false, error: 'A user with this username already exists', code: 'USERNAME_IS_AQUIRED' });
-			}
+	const { data, uniqueEncId } = await toDecryptedRequestData(req, env);
+	const { username, password } = validateUserCredentials(extractUserData(data));
+	const publicKey = randomStringVal(true, 32, 'pub_');
+	const privatekey = randomStringVal(true, 64, 'sec_');
+
+	const userLoginDataLocation = `${userLoginDataLocationPrefix}${username}_.json`;
+	if (await getUserLoginData(userLoginDataLocation, env, 'FAILED_TO_PUT_USER_DATA')) {
+		throw createError({ message: 'A user with this username already exists', code: 'USERNAME_IS_AQUIRED' });
+	}
 
-			await env.USER_DATA_TIKMIX_R2_BUCKET.put(
-				userLoginDataLocation,
-				JSON.stringify({ username, password, publicKey, privatekey, createdAt: dateNow })
-			);
-		} catch (error) {
-			return res
-				.enableCORS()
-				.setStatus(500)
-				.sendJSON({ success: false, error: 'Failed to register user data', code: 'FAILED_TO_PUT_USER_DATA' });
-		}
+	try {
+		await env.USER_DATA_TIKMIX_R2_BUCKET.put(
+			userLoginDataLocation,
+			JSON.stringify({ username, password, publicKey, privatekey, createdAt: dateNow })
+		);
+	} catch (error) {
+		throw createError({ message: 'Failed to register user data', code: 'FAILED_TO_PUT_USER_DATA' });
+	}
 
-		const { responseEncryptionKey } = await getDataTransferEncryptionKeys(uniqueEncId, env);
+	const { responseEncryptionKey } = await getDataTransferEncryptionKeys(uniqueEncId, env);
 
-		const encryptedResponse = await encryptWithKey(
-			JSON.stringify({ success: true, username, publicKey, privatekey, createdAt: dateNow }),
-			responseEncryptionKey
-		);
+	const encryptedResponse = await encryptWithKey(
+		JSON.stringify({ success: true, username, publicKey, privatekey, createdAt: dateNow }),
+		responseEncryptionKey
+	);
 
-		res.setStatus(200).end(encryptedResponse);
-	}
+	return res.setStatus(200).end(encryptedResponse);
 }
 
-function extractUserData(rawData) {
-	const { data, success, error, code } = parseJSON(rawData);
+function validateUserCredentials({ username: usernameRaw, password: passwordRaw }) {
+	const username = typeof usernameRaw === 'string' ? usernameRaw.trim() : '';
+	const password = typeof passwordRaw === 'string' ? passwordRaw.trim() : '';
 
-	if (!success) {
-		return { success, error, code };
+	if (!username || username.length < 3 || username.length > 64) {
+		throw createError({ message: 'Invalid or empty username', code: 'INVALID_USER_DATA' });
 	}
-	return {
-		success: true,
-		error,
-		code,
-		...data,
-	};
+	if (!password || password.length < 8 || password.length > 16) {
+		throw createError({ message: 'Invalid password length', code: 'INVALID_USER_DATA' });
+	}
+	return { username, password };
 }
-async function toDecryptedRequestData(req, res, env) {
-	let decryptedRequestData;
-	const { data, success, error, code } = await toReqJSON(req, res);
-
-	if (!success) {
-		return { success, error, code };
+async function getUserLoginData(userLoginDataLocation, env, failureCode) {
+	try {
+		const existingUserRaw = await env.USER_DATA_TIKMIX_R2_BUCKET.get(userLoginDataLocation);
+		return existingUserRaw ? await existingUserRaw.json() : null;
+	} catch (error) {
+		throw createError({ message: 'Failed to read user data', code: failureCode });
 	}
-
-	const { uniqueEncId, encryptedRequestData } = data;
-
-	const {
-		requestEncryptionKey,
-		success: getKeySuccess,
-		error: getKeyError,
-		code: getKeyCode,
-	} = await getDataTransferEncryptionKeys(uniqueEncId, env, res);
-
-	if (!getKeySuccess) {
-		return { error: getKeyError, code: getKeyCode, success: getKeySuccess };
+}
+function extractUserData(rawData) {
+	const data = parseJSON(rawData);
+	if (!data || typeof data !== 'object') {
+		throw createError({ message: 'Invalid User Input', code: 'INVALID_USER_INPUT' });
 	}
+	return data;
+}
+async function toDecryptedRequestData(req, env) {
+	const { uniqueEncId, encryptedRequestData } = (await toReqJSON(req)) || {};
+	const { requestEncryptionKey } = await getDataTransferEncryptionKeys(uniqueEncId, env);
 
+	let decryptedRequestData;
 	try {
 		decryptedRequestData = await decryptWithKey(encryptedRequestData, requestEncryptionKey);
 	} catch (error) {
-		return { success: false, error, code: 'REQUEST_DECRYPTION_FAILED' };
+		throw createError({ message: 'Failed to decrypt request data', code: 'REQUEST_DECRYPTION_FAILED' });
 	}
 
-	return { success: true, data: decryptedRequestData, uniqueEncId };
+	return { data: decryptedRequestData, uniqueEncId };
 }
-async function toReqJSON(req, res) {
+async function toReqJSON(req) {
 	try {
-		const reqJSON = await req.json();
-		return { data: reqJSON, success: true };
+		return await req.json();
 	} catch (error) {
-		return { success: false, error, code: 'TO_JSON_DECRYPTION_FAILED' };
+		throw createError({ message: error.message, code: 'TO_JSON_DECRYPTION_FAILED' });
 	}
 }
 async function getDataTransferEncryptionKeys(uniqueEncId, env) {
@@ -402,19 +337,19 @@ async function getDataTransferEncryptionKeys(uniqueEncId, env) {
 	const dataTransferEncryptionKeysLocation = `${dataTransferEncyptionLocationKeysPrefix}${uniqueEncId}_.json`;
 	const dataTransferEncryptionKeysRaw = await env.USER_DATA_TIKMIX_R2_BUCKET.get(dataTransferEncryptionKeysLocation);
 	if (!dataTransferEncryptionKeysRaw) {
-		return { success: false, error: 'Encryption Keys not found', code: 'FAILED_TO_FETCH_ENCRYPTION_KEYS' };
+		throw createError({ message: 'Encryption Keys not found', code: 'FAILED_TO_FETCH_ENCRYPTION_KEYS' });
 	}
 	let dataTransferEncryptionKeysJSON;
 	try {
 		dataTransferEncryptionKeysJSON = await dataTransferEncryptionKeysRaw.json();
 	} catch (error) {
-		return { success: false, error, code: 'JSON_PARSING_FAILED' };
+		throw createError({ message: error.message, code: 'JSON_PARSING_FAILED' });
 	}
 	const { requestEncryptionKey, responseEncryptionKey, expiryAt } = dataTransferEncryptionKeysJSON;
 	if (expiryAt < dateNow) {
-		return { success: false, error: 'Encryption keys expired', code: 'CANNOT_GET_EXPIRED_ENCRYPTION_KEYS' };
+		throw createError({ message: 'Encryption keys expired', code: 'CANNOT_GET_EXPIRED_ENCRYPTION_KEYS' });
 	}
-	return { requestEncryptionKey, responseEncryptionKey, success: true };
+	return { requestEncryptionKey, responseEncryptionKey };
 }
 async function revokeDataTransferEncryptionKeys(req, res, env, ctx) {
 	const dataTransferEncryptionKeys = generateDataTransferEncryptionKeys();
@@ -440,14 +375,13 @@ function parseJSON(data) {
 	} else if (typeof data === 'string') {
 		text = data;
 	} else {
-		return { success: false, error: 'Unsupported input to parseJSON', code: 'INVALID_INPUT_TYPE' };
+		throw createError({ message: 'Unsupported input to parseJSON', code: 'INVALID_INPUT_TYPE' });
 	}
 
 	try {
-		const parsed = JSON.parse(text);
-		return { success: true, data: parsed };
+		return JSON.parse(text);
 	} catch (error) {
-		return { success: false, error, code: 'FAILED_TO_PARSE_JSON' };
+		throw createError({ message: error.message, code: 'FAILED_TO_PARSE_JSON' });
 	}
 }
 